@@ -1,5 +1,8 @@
-import { processSequence } from "./processors/sequence.js";
+import { processSequence, createParseState } from "./processors/sequence.js";
+import { ParseError, reportDiagnostic } from "./processors/diagnostics.js";
 import { processGroups } from "./processors/groups.js";
+import { buildToc } from "./processors/toc.js";
+import { preloadAssets } from "./utils/assets.js";
 import * as mappers from "./mappers/index.js";
 
 /**
@@ -7,27 +10,103 @@ import * as mappers from "./mappers/index.js";
  * @param {Object} doc - ProseMirror document
  * @param {Object} options - Parsing options
  * @param {boolean} options.parseCodeAsJson - Parse code blocks as JSON. Default: false
+ * @param {Object} options.nodeHandlers - Custom sequence handlers keyed by node type.
+ *   Each handler receives (node, context) and returns an element, an array of
+ *   elements, null (drop the node) or undefined (use built-in handling)
+ * @param {Object} options.markRenderers - Custom rich text mark renderers keyed by mark type.
+ *   Each entry is a render function, a { priority, render } object, or null to disable
+ * @param {string} options.inlineFormat - Set to 'runs' to add structured text runs
+ *   ({ text, marks }) to text elements and the flat title/paragraph fields. Default: 'html'
+ * @param {Array<string>} options.allowedProtocols - URL schemes accepted in links and buttons.
+ *   Default: http, https, mailto, tel, sms, ftp (relative URLs are always accepted)
+ * @param {Object} options.groupHandlers - Custom group handlers keyed by element type.
+ *   Each handler receives (element, body, context) and writes into body
+ * @param {Function} options.resolveAsset - Resolves assets referenced by identifier
+ *   (images, videos, cards, documents). Receives the asset info and returns a URL
+ *   or { src, href }
+ * @param {boolean} options.sourceMap - Record the raw document path of every sequence
+ *   element (`source`) and flat field (`sourceMap`). Default: false
+ * @param {Function} options.onDiagnostic - Called with each diagnostic
+ *   ({ severity, code, message, location }) as content problems are found
+ * @param {string|Object} options.grouping - How content is split into groups: 'auto'
+ *   (dividers and headings), 'dividers', 'headings', or { splitLevel } to split only on
+ *   headings at or above that level. Default: 'auto'
+ * @param {boolean} options.nestItems - Nest items by heading level, so H3 groups after an
+ *   H2 group are in its `items`. Default: false (a single flat items level)
+ * @param {Object} options.pretitle - Pretitle rules: { levels, uppercase, maxLength,
+ *   explicit, eyebrow }. By default any heading followed by a more important heading
+ *   is a pretitle
+ * @param {number} options.pretitleLevel - Only this heading level can be a pretitle
+ *   (shorthand for pretitle.levels)
+ * @param {boolean} options.mergeInlineLinks - Also add links found inside paragraph text
+ *   to `links` (they are always collected in `inlineLinks`). Default: false
+ * @param {boolean} options.strict - Throw a ParseError for content errors instead of
+ *   skipping and reporting them. Default: false
  * @returns {Object} Flat content structure with sequence for ordered access
  */
 function parseContent(doc, options = {}) {
     // Default options
     const opts = {
         parseCodeAsJson: false,
+        inlineFormat: "html",
         ...options,
     };
 
+    // State shared by all processors, including collected diagnostics
+    const isDocument = !!doc && typeof doc === "object" && !Array.isArray(doc);
+    const source = isDocument ? doc : { type: "doc", content: [] };
+    opts.state = createParseState(source, opts);
+
+    if (!isDocument || (doc.content !== undefined && !Array.isArray(doc.content))) {
+        // Parsed as an empty document
+        reportDiagnostic(opts, {
+            severity: "error",
+            code: "invalid-document",
+            message: "Document is not an object with a content array",
+        });
+    }
+
     // Process sequence (ordered elements)
-    const sequence = processSequence(doc, opts);
+    const sequence = processSequence(source, opts);
 
     // Process groups (semantic structure) - returns flat object
     const groups = processGroups(sequence, opts);
 
     // Return flat structure with sequence at top level
-    return {
+    const result = {
         raw: doc,
         sequence,
+        toc: buildToc(sequence, opts),
+        diagnostics: opts.state.diagnostics,
         ...groups,  // Spread flat content: title, paragraphs, items, etc.
     };
+
+    // Options the result was parsed with, so setByPath can locate fields by
+    // parsing again (not enumerable: not part of the content)
+    Object.defineProperty(result, "options", { value: options });
+
+    return result;
+}
+
+/**
+ * Parse content with an async asset resolver
+ *
+ * All assets referenced by identifier are resolved up front (in parallel),
+ * then the document is parsed synchronously with the resolved results.
+ *
+ * @param {Object} doc - ProseMirror document
+ * @param {Object} options - Parsing options (see parseContent)
+ * @param {Function} options.resolveAsset - Async resolver: (info) => Promise<url | { src, href }>
+ * @returns {Promise<Object>} Flat content structure with sequence for ordered access
+ */
+async function parseContentAsync(doc, options = {}) {
+    if (typeof options.resolveAsset !== "function") {
+        return parseContent(doc, options);
+    }
+
+    const resolveAsset = await preloadAssets(doc, options.resolveAsset);
+
+    return parseContent(doc, { ...options, resolveAsset });
 }
 
-export { parseContent, mappers };
+export { parseContent, parseContentAsync, ParseError, mappers };
@@ -3,6 +3,10 @@
  */
 
 import { applyType, validateType } from './types.js';
+import { processSequence, inlineMathTypes } from '../processors/sequence.js';
+import { processGroups } from '../processors/groups.js';
+import { collectFootnotes } from '../processors/footnotes.js';
+import { decodeEntities, parseInlineHtml } from '../utils/html.js';
 
 /**
  * Parse a path string into segments, handling array indices
@@ -302,11 +306,400 @@ function validateSchema(parsed, schema, options = {}) {
     return results;
 }
 
+/**
+ * Split a field path into keys and indices
+ * @param {string} path - Path string (e.g., 'items[1].lists[0][2].paragraphs[0]')
+ * @returns {Array<string|number>} Path tokens
+ */
+function tokenizePath(path) {
+    return (path.match(/[^.[\]]+/g) || []).map(token =>
+        /^\d+$/.test(token) ? parseInt(token, 10) : token
+    );
+}
+
+/**
+ * Format path tokens the way sourceMap keys are written
+ * @param {Array<string|number>} tokens - Path tokens
+ * @returns {string} Path string (e.g., 'data.form' or 'links[0]')
+ */
+function formatPath(tokens) {
+    return tokens.reduce((path, token) => {
+        if (typeof token === 'number') return `${path}[${token}]`;
+        return path ? `${path}.${token}` : token;
+    }, '');
+}
+
+/**
+ * Get the location of a parsed field in the raw document
+ * Requires parsing with the sourceMap option. The most specific mapping wins:
+ * a field inside a list item resolves to the list item's paragraph, not the list.
+ *
+ * @param {Object} parsed - Parsed content from parseContent(doc, { sourceMap: true })
+ * @param {string} fieldPath - Field path (e.g., 'title', 'items[1].links[0]', 'sequence[3]')
+ * @returns {string|null} Path of the originating node in parsed.raw
+ *   (e.g., 'content[2].content[0]'), usable with getByPath(parsed.raw, path)
+ *
+ * @example
+ * const parsed = parseContent(doc, { sourceMap: true });
+ * const path = getSourceLocation(parsed, 'items[0].paragraphs[1]');
+ * const node = getByPath(parsed.raw, path);
+ */
+function getSourceLocation(parsed, fieldPath) {
+    if (!parsed || !fieldPath) return null;
+
+    const tokens = tokenizePath(fieldPath);
+    let current = parsed;
+    let location = null;
+
+    for (let i = 0; i <= tokens.length; i++) {
+        if (current === null || typeof current !== 'object') break;
+
+        // Sequence elements know their own source
+        if (typeof current.source === 'string') {
+            location = current.source;
+        }
+
+        // Groups and bodies map their fields; try the longest matching prefix
+        if (current.sourceMap) {
+            for (let end = tokens.length; end > i; end--) {
+                const key = formatPath(tokens.slice(i, end));
+                if (current.sourceMap[key]) {
+                    location = current.sourceMap[key];
+                    break;
+                }
+            }
+        }
+
+        if (i < tokens.length) current = current[tokens[i]];
+    }
+
+    return location;
+}
+
+/**
+ * Parse a raw document again with source mapping
+ * @param {Object} doc - ProseMirror document
+ * @param {Object} options - Parsing options the content was parsed with
+ * @returns {Object} Flat content structure with source maps
+ */
+function parseWithSourceMap(doc, options = {}) {
+    options = { ...options, sourceMap: true };
+    const sequence = processSequence(doc, options);
+
+    return { raw: doc, sequence, ...processGroups(sequence, options) };
+}
+
+/**
+ * Serialize a parsed value without its source mapping, for comparisons
+ */
+function toContentJson(value) {
+    return JSON.stringify(value, (key, item) =>
+        key === 'sourceMap' || key === 'source' ? undefined : item
+    );
+}
+
+/**
+ * Replace the node at a path, copying only the nodes along the path
+ * @param {Object} node - Root node
+ * @param {Array<string|number>} tokens - Path tokens
+ * @param {Function} update - (node) => new node
+ * @returns {Object} New root node
+ */
+function updateNode(node, tokens, update) {
+    if (tokens.length === 0) return update(node);
+
+    const [key, ...rest] = tokens;
+    const copy = Array.isArray(node) ? [...node] : { ...node };
+    copy[key] = updateNode(node[key], rest, update);
+
+    return copy;
+}
+
+/**
+ * Get the marks shared by all text of an inline content array
+ * @param {Array} content - Inline nodes
+ * @returns {Array|undefined} Shared marks, or undefined if text is mixed
+ */
+function getSharedMarks(content = []) {
+    const texts = content.filter(node => node.type === 'text');
+    if (!texts.length) return undefined;
+
+    const marks = JSON.stringify(texts[0].marks || []);
+    return texts.every(node => JSON.stringify(node.marks || []) === marks)
+        ? texts[0].marks
+        : undefined;
+}
+
+/**
+ * Get the latex source of an inline math node
+ */
+function getNodeLatex(node) {
+    const latex = [node.attrs?.latex, node.attrs?.content].find(value => typeof value === 'string');
+    return (latex ?? (node.content || []).map(child => child.text || '').join('')).trim();
+}
+
+/**
+ * Check if the rich text of a block can express an inline node
+ * Icons, inline images and other nodes without markup can't.
+ */
+function isExpressible(node, footnotes) {
+    return ['text', 'hardBreak'].includes(node.type) ||
+        inlineMathTypes.includes(node.type) ||
+        footnotes.refNodes.has(node);
+}
+
+/**
+ * Plain text length of an inline node
+ * Generated content (math, footnote numbers) takes no room.
+ */
+function getInlineLength(node, footnotes) {
+    if (footnotes.refNodes.has(node)) return 0;
+    if (node.type === 'text') return (node.text || '').length;
+    return node.type === 'hardBreak' ? 1 : 0;
+}
+
+/**
+ * Insert an inline node at a plain text offset, splitting text if needed
+ */
+function insertInline(content, offset, inline, footnotes) {
+    let position = 0;
+
+    for (let i = 0; i < content.length; i++) {
+        const node = content[i];
+        if (offset <= position) {
+            content.splice(i, 0, inline);
+            return;
+        }
+
+        const length = getInlineLength(node, footnotes);
+        if (node.type === 'text' && offset < position + length) {
+            const at = offset - position;
+            content.splice(i, 1, { ...node, text: node.text.slice(0, at) }, inline, { ...node, text: node.text.slice(at) });
+            return;
+        }
+        position += length;
+    }
+
+    content.push(inline);
+}
+
+/**
+ * Map the math and footnote nodes of parsed rich text back to the nodes they
+ * were rendered from, so their type and attributes survive the edit
+ */
+function restoreInlineNodes(content, original, footnotes) {
+    const maths = original.filter(node => inlineMathTypes.includes(node.type));
+    const references = original.filter(node => footnotes.refNodes.has(node));
+    const labels = new Map([...footnotes.numbers].map(([label, number]) => [number, label]));
+
+    return content.map(node => {
+        if (node.type === 'math-inline') {
+            const source = maths.shift();
+            if (!source) return node;
+            if (getNodeLatex(source) === node.attrs.latex) return source;
+
+            const { content: _, ...rest } = source;
+            return { ...rest, attrs: { ...source.attrs, latex: node.attrs.latex } };
+        }
+
+        if (node.type === 'footnoteReference') {
+            const { number } = node.attrs;
+            const index = references.findIndex(ref => footnotes.refNodes.get(ref).number === number);
+            if (index !== -1) return references.splice(index, 1)[0];
+
+            return { type: 'footnoteReference', attrs: { label: labels.get(number) ?? String(number) } };
+        }
+
+        return node;
+    });
+}
+
+/**
+ * Put back the inline nodes rich text can't express (icons, ...) at the
+ * text offset they had in the original content
+ */
+function keepInlineNodes(content, original, footnotes) {
+    const kept = [];
+    let offset = 0;
+
+    original.forEach(node => {
+        if (isExpressible(node, footnotes)) {
+            offset += getInlineLength(node, footnotes);
+        } else {
+            kept.push({ node, offset });
+        }
+    });
+
+    kept.reverse().forEach(({ node, offset }) => insertInline(content, offset, node, footnotes));
+
+    return content;
+}
+
+/**
+ * Write a rich text value into a text block
+ * HTML formatting becomes marks. Plain text keeps the marks the whole block
+ * had (e.g. a fully bold heading stays bold). Inline math and footnote
+ * references keep their original nodes, and inline nodes without markup
+ * (icons) stay where they were.
+ */
+function writeText(node, value, footnotes) {
+    const html = String(value ?? '');
+    let content;
+
+    if (/<[a-zA-Z/!]/.test(html)) {
+        content = restoreInlineNodes(parseInlineHtml(html), node.content || [], footnotes);
+    } else {
+        const marks = getSharedMarks(node.content);
+        content = [];
+
+        decodeEntities(html).split('\n').forEach((line, index) => {
+            if (index > 0) content.push({ type: 'hardBreak' });
+            if (line) content.push(marks ? { type: 'text', text: line, marks } : { type: 'text', text: line });
+        });
+    }
+
+    content = content.filter(item => item.type !== 'text' || item.text);
+
+    return { ...node, content: keepInlineNodes(content, node.content || [], footnotes) };
+}
+
+/**
+ * Write a link field into the text nodes carrying the link mark
+ */
+function writeLink(node, current, value) {
+    const next = typeof value === 'string' ? { ...current, href: value } : { ...current, ...value };
+    let labelWritten = false;
+
+    const content = (node.content || []).flatMap(child => {
+        const link = child.marks?.find(mark => mark.type === 'link' && mark.attrs?.href === current.href);
+        if (!link) return [child];
+
+        const attrs = { ...link.attrs, href: next.href };
+        if (next.target) attrs.target = next.target;
+        const marks = child.marks.map(mark => (mark === link ? { ...mark, attrs } : mark));
+
+        if (next.label === current.label) return [{ ...child, marks }];
+
+        // A changed label replaces the whole link text
+        if (labelWritten) return [];
+        labelWritten = true;
+        return [{ ...child, text: next.label, marks }];
+    });
+
+    return { ...node, content };
+}
+
+/**
+ * Write a new field value into the node it came from
+ */
+function writeField(node, current, value, path, footnotes) {
+    if (Array.isArray(current)) {
+        throw new Error(`Cannot write a whole array at path: ${path}`);
+    }
+
+    // Text fields: titles, paragraphs, headings
+    if (current === null || current === undefined || typeof current === 'string') {
+        if (node.type === 'codeBlock') {
+            return { ...node, content: value ? [{ type: 'text', text: String(value) }] : [] };
+        }
+        if (['paragraph', 'heading', 'button'].includes(node.type)) {
+            return writeText(node, value, footnotes);
+        }
+        throw new Error(`Cannot write text into a ${node.type} node at path: ${path}`);
+    }
+
+    // Links inside text blocks
+    if (['paragraph', 'heading'].includes(node.type) && 'href' in current) {
+        return writeLink(node, current, value);
+    }
+
+    if (node.type === 'button') {
+        const next = typeof value === 'string' ? { href: value } : value;
+        const written = next.label !== undefined && next.label !== current.label
+            ? writeText(node, next.label, footnotes)
+            : node;
+
+        return { ...written, attrs: { ...node.attrs, href: next.href ?? current.href } };
+    }
+
+    if (node.type === 'dataBlock') {
+        return { ...node, attrs: { ...node.attrs, data: value } };
+    }
+
+    // Images, videos, icons, ...: changed properties go back to the node attributes
+    const changed = Object.fromEntries(
+        Object.entries(value || {}).filter(
+            ([key, item]) => JSON.stringify(item) !== JSON.stringify(current[key])
+        )
+    );
+
+    return { ...node, attrs: { ...node.attrs, ...changed } };
+}
+
+/**
+ * Set a field of parsed content and get the updated ProseMirror document
+ *
+ * The reverse of getByPath: the value is written into the node the field
+ * came from, and a new document is returned. Nodes outside the edited path
+ * are shared with the original document, so unrelated content and marks are
+ * untouched.
+ *
+ * Text values use the same HTML format as parsed fields ("Hello <em>world</em>").
+ * Object fields (links, images, videos) update the properties that changed.
+ *
+ * @param {Object} parsed - Parsed content from parseContent()
+ * @param {string} path - Field path (e.g., 'items[1].title', 'links[0]')
+ * @param {*} value - New value
+ * @param {Object} options - Parsing options used for `parsed` (grouping, nestItems,
+ *   nodeHandlers, ...). Default: the options parseContent recorded on `parsed`.
+ *   Only used when it was parsed without the sourceMap option: the document is
+ *   parsed again with them to locate the field
+ * @returns {Object} Updated ProseMirror document (parsed.raw if nothing changed)
+ * @throws {Error} If the path doesn't map to a document node, maps to a
+ *   structure that can't be written as one value (e.g. a whole list), or
+ *   parsing again gives a different value at the path
+ *
+ * @example
+ * const doc = setByPath(parsed, 'items[1].title', 'New title');
+ * editor.commands.setContent(doc);
+ */
+function setByPath(parsed, path, value, options = parsed?.options || {}) {
+    if (!parsed?.raw) {
+        throw new Error('Parsed content with a raw document is required');
+    }
+
+    // Source locations come from the sourceMap option; parse again if missing
+    const mapped = parsed.sourceMap ? parsed : parseWithSourceMap(parsed.raw, options);
+    const location = getSourceLocation(mapped, path);
+
+    if (!location) {
+        throw new Error(`No document node found for path: ${path}`);
+    }
+
+    const current = getByPath(mapped, path);
+
+    // Parsing again must reach the same field, or the write would land elsewhere
+    if (mapped !== parsed && toContentJson(current) !== toContentJson(getByPath(parsed, path))) {
+        throw new Error(`Parsing again with the given options gives a different value at path: ${path}`);
+    }
+
+    if (JSON.stringify(current) === JSON.stringify(value)) return parsed.raw;
+
+    // Footnote numbers map rendered references back to their nodes
+    const footnotes = collectFootnotes(parsed.raw);
+
+    return updateNode(parsed.raw, tokenizePath(location), node =>
+        writeField(node, current, value, path, footnotes)
+    );
+}
+
 export {
     getByPath,
+    setByPath,
     extractBySchema,
     validateSchema,
     hasPath,
     getFirstExisting,
-    mapArray
+    mapArray,
+    getSourceLocation
 };
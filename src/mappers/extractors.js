@@ -27,7 +27,7 @@ function hero(parsed) {
         description: parsed?.paragraphs || [],
         image: first(parsed?.imgs)?.url || null,
         imageAlt: first(parsed?.imgs)?.alt || null,
-        banner: null, // Banner detection would need to be added separately
+        banner: parsed?.banner || null,
         cta: buttonLink || plainLink || null,
     };
 }
@@ -83,17 +83,27 @@ function card(parsed, options = {}) {
  * @returns {Object} Article data
  */
 function article(parsed) {
+    // Footnotes referenced anywhere in the article, in number order
+    const footnotes = [parsed, ...(parsed?.items || [])]
+        .flatMap((content) => content?.footnotes || [])
+        .filter(
+            (footnote, index, all) =>
+                all.findIndex((f) => f.number === footnote.number) === index
+        )
+        .sort((a, b) => a.number - b.number);
+
     return {
         title: parsed?.title || null,
         subtitle: parsed?.subtitle || null,
         kicker: parsed?.pretitle || null,
         author: null, // Would need metadata support
         date: null,   // Would need metadata support
-        banner: null, // Banner detection would need to be added separately
+        banner: parsed?.banner || null,
         content: parsed?.paragraphs || [],
         images: parsed?.imgs || [],
         videos: parsed?.videos || [],
         links: parsed?.links || [],
+        footnotes,
     };
 }
 
@@ -207,7 +217,9 @@ function testimonial(parsed, options = {}) {
 
 /**
  * Extract FAQ (question and answer pairs)
- * Common pattern: Question as title, answer as content
+ * Common pattern: Question as title, answer as content, or details blocks
+ * with the question as summary. Links inside the answer are in inlineLinks,
+ * like in the parsed content.
  *
  * @param {Object} parsed - Parsed content from parseContent()
  * @returns {Array} FAQ items
@@ -215,12 +227,24 @@ function testimonial(parsed, options = {}) {
 function faq(parsed) {
     const items = parsed?.items || [];
 
+    // Collapsible details blocks are Q&A pairs too (summary is the question)
+    const details = [parsed, ...items].flatMap((content) =>
+        (content?.details || []).map((detail) => ({
+            question: detail.summary || null,
+            answer: detail.paragraphs || [],
+            links: detail.links || [],
+            inlineLinks: detail.inlineLinks || [],
+        }))
+    );
+
     return items
         .map((item) => ({
             question: item.title || null,
             answer: item.paragraphs || [],
             links: item.links || [],
+            inlineLinks: item.inlineLinks || [],
         }))
+        .concat(details)
         .filter((item) => item.question);
 }
 
@@ -315,6 +339,39 @@ function gallery(parsed, options = {}) {
     }));
 }
 
+/**
+ * Extract table of contents for in-page navigation
+ * Common pattern: Nested list of section links
+ *
+ * @param {Object} parsed - Parsed content from parseContent()
+ * @param {Object} options - Extraction options
+ * @param {number} options.minLevel - Lift entries above this level out of the tree
+ *   (e.g. 2 to leave out the page title). Default: 1
+ * @param {number} options.maxLevel - Deepest heading level to include. Default: 6
+ * @returns {Array} TOC entries { id, label, href, level, children }
+ */
+function toc(parsed, options = {}) {
+    const { minLevel = 1, maxLevel = 6 } = options;
+
+    const mapEntries = (entries) =>
+        entries.flatMap((entry) => {
+            if (entry.level < minLevel) return mapEntries(entry.children);
+            if (entry.level > maxLevel) return [];
+
+            return [
+                {
+                    id: entry.id,
+                    label: entry.text,
+                    href: `#${entry.id}`,
+                    level: entry.level,
+                    children: mapEntries(entry.children),
+                },
+            ];
+        });
+
+    return mapEntries(parsed?.toc || []);
+}
+
 /**
  * Extract content in legacy Article class format
  * Used for backward compatibility with existing components
@@ -339,12 +396,9 @@ function legacy(parsed) {
     const transformToNested = (content) => {
         if (!content) return null;
 
-        let imgs = content.imgs || [];
-        let banner = imgs.filter((item) => {
-            return (item.role = "banner");
-        })?.[0];
-
-        if (!banner) banner = imgs[0];
+        const imgs = content.imgs || [];
+        // Legacy banner: the detected banner, or else the first image
+        const banner = content.banner || imgs[0];
 
         // Reconstruct deprecated fields from new structure
         const links = content.links || [];
@@ -412,5 +466,6 @@ export {
     pricing,
     team,
     gallery,
+    toc,
     legacy,
 };
@@ -3,6 +3,8 @@
  * Handles automatic cleanup and transformation based on component requirements
  */
 
+import { decodeEntities } from '../utils/html.js';
+
 /**
  * Strip all HTML/markup from text, preserving only text content
  * @param {string} text - Text with potential markup
@@ -27,14 +29,8 @@ function stripMarkup(text, options = {}) {
     // Remove all HTML tags
     result = result.replace(/<[^>]*>/g, '');
 
-    // Decode HTML entities
-    result = result
-        .replace(/&nbsp;/g, ' ')
-        .replace(/&amp;/g, '&')
-        .replace(/&lt;/g, '<')
-        .replace(/&gt;/g, '>')
-        .replace(/&quot;/g, '"')
-        .replace(/&#39;/g, "'");
+    // Decode HTML entities (non-breaking spaces become plain spaces)
+    result = decodeEntities(result).replace(/\u00A0/g, ' ');
 
     // Normalize whitespace unless preserving
     if (!preserveWhitespace && !preserveLineBreaks) {
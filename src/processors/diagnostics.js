@@ -0,0 +1,87 @@
+/**
+ * Parse diagnostics
+ *
+ * Content problems the parser recovers from (malformed data, unknown nodes)
+ * are reported instead of silently swallowed. Each diagnostic is collected
+ * in the parse state and passed to the onDiagnostic option.
+ *
+ * In strict mode (strict: true) error diagnostics throw a ParseError instead.
+ */
+
+import { collectSourcePaths } from "./source.js";
+
+/**
+ * Error thrown for malformed content in strict mode
+ * @property {string} code Diagnostic code, e.g. "invalid-node"
+ * @property {string|null} path Path of the node in the document
+ * @property {string|null} nodeType Type of the node
+ */
+class ParseError extends Error {
+    constructor(message, { code, path = null, nodeType = null, cause } = {}) {
+        super(message, cause ? { cause } : undefined);
+        this.name = "ParseError";
+        this.code = code;
+        this.path = path;
+        this.nodeType = nodeType;
+    }
+}
+
+/**
+ * Find the path of a node in the parsed document
+ * Paths are only computed once a diagnostic needs them.
+ * @param {Object} state Parse state
+ * @param {Object} node Document node
+ * @returns {string|null} Path such as "content[2].content[0]"
+ */
+function getNodePath(state, node) {
+    if (!node) return null;
+
+    state.nodePaths ??= state.sourcePaths || collectSourcePaths(state.doc);
+
+    return state.nodePaths.get(node) ?? null;
+}
+
+/**
+ * Report a content problem
+ * @param {Object} options Parsing options (with the parse state)
+ * @param {Object} diagnostic Diagnostic details
+ * @param {string} diagnostic.severity "error" or "warning"
+ * @param {string} diagnostic.code Stable identifier, e.g. "invalid-data"
+ * @param {string} diagnostic.message Human readable description
+ * @param {Error} diagnostic.cause Underlying exception, if any
+ * @param {Object} node Document node the problem was found in
+ * @returns {Object} The reported diagnostic
+ * @throws {ParseError} For errors in strict mode
+ */
+function reportDiagnostic(options, { severity, code, message, cause }, node) {
+    const state = options.state;
+    const diagnostic = {
+        severity,
+        code,
+        message,
+        location: {
+            path: state ? getNodePath(state, node) : null,
+            type: node?.type ?? null,
+        },
+    };
+
+    if (options.strict && severity === "error") {
+        const { path, type } = diagnostic.location;
+        throw new ParseError(path ? `${message} (at ${path})` : message, {
+            code,
+            path,
+            nodeType: type,
+            cause,
+        });
+    }
+
+    state?.diagnostics.push(diagnostic);
+
+    if (typeof options.onDiagnostic === "function") {
+        options.onDiagnostic(diagnostic);
+    }
+
+    return diagnostic;
+}
+
+export { ParseError, reportDiagnostic };
@@ -0,0 +1,116 @@
+/**
+ * Footnote support
+ *
+ * References can be inline nodes (footnoteReference) or text marks
+ * (footnoteReference/footnote). Definitions are footnoteDefinition nodes
+ * (content-reader) or footnote nodes (TipTap), optionally wrapped in a
+ * footnotes container. References and definitions are matched by label.
+ *
+ * Numbers are assigned in a single pass over the whole document before the
+ * sequence is built, so rendering stays free of side effects: footnotes are
+ * numbered in order of first reference, and unreferenced definitions are
+ * numbered after all referenced ones.
+ */
+
+const referenceTypes = ["footnoteReference"];
+const referenceMarkTypes = ["footnoteReference", "footnote"];
+const definitionTypes = ["footnoteDefinition", "footnote"];
+
+/**
+ * Get the label that links a reference to its definition
+ * @param {Object} attrs Node or mark attributes
+ * @param {string} fallback Value used when no label attribute is present
+ * @returns {string} Footnote label
+ */
+function getFootnoteLabel(attrs, fallback = "") {
+    const label =
+        attrs?.label ??
+        attrs?.["data-id"] ??
+        attrs?.id ??
+        attrs?.referenceNumber ??
+        fallback;
+
+    return String(label);
+}
+
+/**
+ * Get the label of a footnote reference, or null if the node is not one
+ * @param {Object} node Inline node
+ * @returns {string|null} Footnote label
+ */
+function getReferenceLabel(node) {
+    if (referenceTypes.includes(node.type)) {
+        return getFootnoteLabel(node.attrs);
+    }
+
+    if (node.type === "text" && Array.isArray(node.marks)) {
+        const mark = node.marks.find((m) => referenceMarkTypes.includes(m?.type));
+        if (mark) return getFootnoteLabel(mark.attrs, node.text);
+    }
+
+    return null;
+}
+
+function isFootnoteDefinition(node) {
+    return definitionTypes.includes(node.type);
+}
+
+/**
+ * Number all footnote references and definitions of a document
+ * @param {Object} doc ProseMirror document
+ * @returns {Object} { numbers: Map<label, number>, refs: Map<label, Array<refId>>,
+ *   refNodes: WeakMap<node, reference> }
+ */
+function collectFootnotes(doc) {
+    const numbers = new Map();
+    const refs = new Map();
+    const refNodes = new WeakMap();
+    const definitions = [];
+
+    const walk = (node) => {
+        if (!node || typeof node !== "object") return;
+
+        const label = getReferenceLabel(node);
+        if (label !== null) {
+            if (!numbers.has(label)) numbers.set(label, numbers.size + 1);
+
+            const number = numbers.get(label);
+            const ids = refs.get(label) || [];
+            const id = ids.length
+                ? `fnref-${number}-${ids.length + 1}`
+                : `fnref-${number}`;
+
+            ids.push(id);
+            refs.set(label, ids);
+            refNodes.set(node, { label, number, id, target: `fn-${number}` });
+        } else if (isFootnoteDefinition(node)) {
+            definitions.push(getFootnoteLabel(node.attrs));
+        }
+
+        if (Array.isArray(node.content)) node.content.forEach(walk);
+    };
+
+    walk(doc);
+
+    definitions.forEach((label) => {
+        if (!numbers.has(label)) numbers.set(label, numbers.size + 1);
+    });
+
+    return { numbers, refs, refNodes };
+}
+
+/**
+ * Rich text markup of a footnote reference
+ * @param {Object} ref Reference from collectFootnotes
+ * @returns {string} HTML anchor
+ */
+function renderFootnoteReference(ref) {
+    return `<sup class="footnote-ref"><a href="#${ref.target}" id="${ref.id}">${ref.number}</a></sup>`;
+}
+
+export {
+    collectFootnotes,
+    getFootnoteLabel,
+    isFootnoteDefinition,
+    renderFootnoteReference,
+};
@@ -1,3 +1,6 @@
+import { snapshotBody, recordSourceChanges } from "./source.js";
+import { stripHtml } from "../utils/html.js";
+
 /**
  * Flatten a group's nested structure to a flat object
  * @param {Object} group Processed group with { header, body, metadata }
@@ -5,54 +8,87 @@
  */
 function flattenGroup(group) {
     if (!group) return null;
-    return {
+    const flat = {
         title: group.header.title || '',
         pretitle: group.header.pretitle || '',
         subtitle: group.header.subtitle || '',
         subtitle2: group.header.subtitle2 || '',
         paragraphs: group.body.paragraphs || [],
         links: group.body.links || [],
+        inlineLinks: group.body.inlineLinks || [],
         imgs: group.body.imgs || [],
         icons: group.body.icons || [],
         lists: group.body.lists || [],
         videos: group.body.videos || [],
+        banner: group.body.banner || null,
         data: group.body.data || {},
         quotes: group.body.quotes || [],
         headings: group.body.headings || [],
+        headingIds: group.body.headingIds || [],
+        tables: group.body.tables || [],
+        math: group.body.math || [],
+        footnotes: group.body.footnotes || [],
+        details: group.body.details || [],
+        body: group.body.body || [],
     };
+
+    // Field path -> raw document path (sourceMap option)
+    if (group.body.sourceMap) {
+        flat.sourceMap = group.body.sourceMap;
+    }
+
+    // Structured text runs alongside the HTML fields (inlineFormat: 'runs')
+    if (group.body.paragraphRuns) {
+        flat.titleRuns = group.header.titleRuns;
+        flat.pretitleRuns = group.header.pretitleRuns;
+        flat.subtitleRuns = group.header.subtitleRuns;
+        flat.subtitle2Runs = group.header.subtitle2Runs;
+        flat.paragraphRuns = group.body.paragraphRuns;
+    }
+
+    return flat;
 }
 
 /**
  * Transform a sequence into content groups with semantic structure
  * @param {Array} sequence Flat sequence of elements
  * @param {Object} options Parsing options
+ * @param {string|Object} options.grouping 'auto', 'dividers', 'headings' or { splitLevel }
+ * @param {boolean} options.nestItems Nest items by heading level (items[i].items)
  * @returns {Object} Flat content object with items array
  */
 function processGroups(sequence, options = {}) {
     // Empty content returns flat empty structure
     if (!sequence.length) {
         return {
-            title: '',
-            pretitle: '',
-            subtitle: '',
-            subtitle2: '',
-            paragraphs: [],
-            links: [],
-            imgs: [],
-            icons: [],
-            lists: [],
-            videos: [],
-            data: {},
-            quotes: [],
-            headings: [],
+            ...flattenGroup(processGroupContent([], options)),
             items: [],
         };
     }
 
-    const groups = splitBySlices(sequence);
+    const groups = splitBySlices(sequence, options);
 
     // Process each group's structure (still nested internally)
-    const processedGroups = groups.map((group) => processGroupContent(group));
+    const processedGroups = groups.map((group) =>
+        processGroupContent(group, options)
+    );
+
+    // Each group lists the footnote definitions referenced in its content
+    const definitions = sequence.filter((element) => element.type === "footnote");
+    if (definitions.length) {
+        processedGroups.forEach((group, index) => {
+            const numbers = collectFootnoteNumbers(groups[index]);
+            group.body.footnotes = definitions
+                .filter((definition) => numbers.has(definition.number))
+                .sort((a, b) => a.number - b.number);
+
+            group.body.footnotes.forEach((definition, i) => {
+                if (group.body.sourceMap && definition.source) {
+                    group.body.sourceMap[`footnotes[${i}]`] = definition.source;
+                }
+            });
+        });
+    }
 
     // Determine main vs items
     let mainGroup = null;
@@ -67,24 +103,14 @@ function processGroups(sequence, options = {}) {
     }
 
     // Flatten main content (or return empty flat structure)
-    const flatMain = flattenGroup(mainGroup) || {
-        title: '',
-        pretitle: '',
-        subtitle: '',
-        subtitle2: '',
-        paragraphs: [],
-        links: [],
-        imgs: [],
-        icons: [],
-        lists: [],
-        videos: [],
-        data: {},
-        quotes: [],
-        headings: [],
-    };
+    const flatMain =
+        flattenGroup(mainGroup) ||
+        flattenGroup(processGroupContent([], options));
 
-    // Flatten items
-    const flatItems = itemGroups.map(flattenGroup);
+    // Flatten items (nested by heading level with the nestItems option)
+    const flatItems = options.nestItems
+        ? nestGroups(itemGroups)
+        : itemGroups.map(flattenGroup);
 
     return {
         ...flatMain,
@@ -92,29 +118,138 @@ function processGroups(sequence, options = {}) {
     };
 }
 
-function splitBySlices(sequence) {
+/**
+ * Flatten groups into a tree by heading level
+ * Each group becomes a child of the closest preceding group with a more
+ * important heading. Groups without a heading start again at the top level.
+ * @param {Array} groups Processed groups
+ * @returns {Array} Flat content objects, each with its own items array
+ */
+function nestGroups(groups) {
+    const items = [];
+    const parents = [];
+
+    groups.forEach((group) => {
+        const item = { ...flattenGroup(group), items: [] };
+        const level = group.metadata.level;
+
+        if (!level) {
+            items.push(item);
+            parents.length = 0;
+            return;
+        }
+
+        while (parents.length && parents[parents.length - 1].level >= level) {
+            parents.pop();
+        }
+
+        const parent = parents[parents.length - 1];
+        (parent ? parent.item.items : items).push(item);
+        parents.push({ level, item });
+    });
+
+    return items;
+}
+
+/**
+ * Collect the numbers of all footnote references within elements
+ * @param {*} value Sequence elements (searched recursively)
+ * @param {Set} numbers Accumulator
+ * @returns {Set<number>} Referenced footnote numbers
+ */
+function collectFootnoteNumbers(value, numbers = new Set()) {
+    if (Array.isArray(value)) {
+        value.forEach((item) => collectFootnoteNumbers(item, numbers));
+    } else if (value && typeof value === "object") {
+        // Definitions may reference other footnotes, but don't count here
+        if (value.type === "footnote") return numbers;
+        if (value.type === "footnote-ref") numbers.add(value.number);
+
+        Object.values(value).forEach((item) =>
+            collectFootnoteNumbers(item, numbers)
+        );
+    }
+
+    return numbers;
+}
+
+/**
+ * Get the splitting rules of a grouping option
+ * @param {string|Object} grouping 'auto', 'dividers', 'headings' or { splitLevel }
+ * @returns {Object} { dividers, splitLevel } - whether dividers split, and the
+ *   deepest heading level that starts a group (0 when headings never split)
+ */
+function getGroupingRules(grouping = "auto") {
+    if (grouping === "dividers") return { dividers: true, splitLevel: 0 };
+    if (grouping === "headings") return { dividers: false, splitLevel: 6 };
+
+    const level = Number(grouping?.splitLevel);
+    if (Number.isInteger(level) && level > 0) {
+        return { dividers: true, splitLevel: level };
+    }
+
+    return { dividers: true, splitLevel: 6 };
+}
+
+/**
+ * Check if the element at index i starts a new group
+ * A pretitle starts the group of the heading it introduces.
+ */
+function startsGroup(sequence, i, splitLevel, options) {
+    if (sequence[i].type === "heading" && sequence[i].level <= splitLevel) return true;
+
+    return isPreTitle(sequence, i, options) && sequence[i + 1].level <= splitLevel;
+}
+
+/**
+ * Split a sequence into groups
+ * @param {Array} sequence Flat sequence of elements
+ * @param {Object} options Parsing options (grouping and pretitle rules)
+ * @returns {Array<Array>} Elements of each group
+ */
+function splitBySlices(sequence, options = {}) {
+    const { dividers, splitLevel } = getGroupingRules(options.grouping);
     const groups = [];
     let currentGroup = [];
 
+    const isGroupStart = (i) =>
+        i < sequence.length &&
+        (sequence[i].type === "heading" || isPreTitle(sequence, i, options)) &&
+        startsGroup(sequence, i, splitLevel, options);
+
     for (let i = 0; i < sequence.length; i++) {
         const element = sequence[i];
 
         // 1. Handle Dividers (Explicit Split)
         if (element.type === "divider") {
             // Close current group if it has content
-            if (currentGroup.length > 0) {
+            if (dividers && currentGroup.length > 0) {
                 groups.push(currentGroup);
                 currentGroup = [];
             }
             continue; // Consume the divider (don't add to group)
         }
 
+        // SPECIAL CASE: An explicit banner right before a heading opens the heading's group
+        if (
+            currentGroup.length > 0 &&
+            element.attrs?.role === "banner" &&
+            isBannerImage(sequence, i) &&
+            isGroupStart(i + 1)
+        ) {
+            groups.push(currentGroup);
+            currentGroup = [];
+        }
+
         // 2. Handle Headings (Semantic Split)
-        if (element.type === "heading") {
-            // SPECIAL CASE: Banner Image for the whole content
-            // If we are at the second element (index 1), and the first element was a banner image,
-            // we do NOT close the group. We let the heading merge with the image.
-            const isBannerMerge = i === 1 && isBannerImage(sequence, 0);
+        if (isGroupStart(i)) {
+            // SPECIAL CASE: Banner Image for the group
+            // If the group only holds a banner right before this heading,
+            // we do NOT close the group. We let the heading merge with the banner.
+            const isBannerMerge =
+                currentGroup.length === 1 &&
+                currentGroup[0] === sequence[i - 1] &&
+                isBannerImage(sequence, i - 1, true);
 
             // A new Heading Group starts a new visual block.
             // If we have gathered content in the current group, close it now.
@@ -125,7 +260,7 @@ function splitBySlices(sequence) {
 
             // Consume the entire semantic heading block (Title + Subtitles)
             // We reuse your smart readHeadingGroup logic here!
-            const headingBlock = readHeadingGroup(sequence, i);
+            const headingBlock = readHeadingGroup(sequence, i, options);
             currentGroup.push(...headingBlock);
 
             // Advance the index by the number of headings consumed
@@ -146,29 +281,104 @@ function splitBySlices(sequence) {
     return groups;
 }
 
+const PRETITLE_MARKERS = ["pretitle", "eyebrow"];
+
 /**
- * Check if this is a pretitle - any heading followed by a more important heading
- * (e.g., H3→H1, H2→H1, H6→H5, etc.)
+ * Get the pretitle rules of the parsing options
+ * `pretitleLevel` (a single level) is a shorthand for `pretitle.levels`.
+ * @param {Object} options Parsing options
+ * @returns {Object} { levels, uppercase, maxLength, explicit, eyebrow }
  */
-function isPreTitle(sequence, i) {
+function getPretitleRules(options = {}) {
+    const rules = options.pretitle || {};
+    const levels = rules.levels || (options.pretitleLevel ? [options.pretitleLevel] : null);
+
+    return {
+        levels: levels || [1, 2, 3, 4, 5, 6],
+        uppercase: !!rules.uppercase,
+        maxLength: rules.maxLength ?? Infinity,
+        explicit: rules.explicit ?? true,
+        eyebrow: !!rules.eyebrow,
+    };
+}
+
+/**
+ * Check if an element is marked as a pretitle, with a role="pretitle" (or
+ * "eyebrow") attr or a text that is a single span with one of those classes
+ */
+function isMarkedPreTitle(element) {
+    if (PRETITLE_MARKERS.includes(element.attrs?.role)) return true;
+
+    const span = /^<span\b[^>]*\bclass="([^"]*)"[^>]*>(?:(?!<span\b)[\s\S])*<\/span>$/.exec(
+        element.text || ""
+    );
+
+    return !!span && span[1].split(/\s+/).some((name) => PRETITLE_MARKERS.includes(name));
+}
+
+/**
+ * Check if this is a pretitle - by default any heading followed by a more
+ * important heading (e.g., H3→H1, H2→H1, H6→H5, etc.)
+ *
+ * The `pretitle` option narrows the rule:
+ * - levels: heading levels that can be pretitles
+ * - uppercase: the text must be all caps
+ * - maxLength: longest plain text length
+ * - explicit: marked headings are pretitles of any following heading (default: true)
+ * - eyebrow: marked paragraphs right before a heading are pretitles too
+ *
+ * @param {Array} sequence Sequence elements
+ * @param {number} i Index of the element
+ * @param {Object} options Parsing options
+ * @returns {boolean}
+ */
+function isPreTitle(sequence, i, options = {}) {
+    const element = sequence[i];
+    const next = sequence[i + 1];
+    if (!element || next?.type !== "heading") return false;
+
+    const rules = getPretitleRules(options);
+
+    if (element.type === "paragraph") {
+        return rules.eyebrow && isMarkedPreTitle(element);
+    }
+
+    if (element.type !== "heading") return false;
+    if (rules.explicit && isMarkedPreTitle(element)) return true;
+
+    const text = stripHtml(element.text || "").trim();
+
     return (
-        i + 1 < sequence.length &&
-        sequence[i].type === "heading" &&
-        sequence[i + 1].type === "heading" &&
-        sequence[i].level > sequence[i + 1].level // Smaller heading before larger
+        element.level > next.level && // Smaller heading before larger
+        rules.levels.includes(element.level) &&
+        text.length <= rules.maxLength &&
+        (!rules.uppercase || (text === text.toUpperCase() && text !== text.toLowerCase()))
     );
 }
 
-function isBannerImage(sequence, i) {
+/**
+ * Check if the element at index i is a banner
+ * Images and videos with role="banner" are banners anywhere. An image that
+ * starts a group and is directly followed by a heading is a banner too.
+ * @param {Array} sequence Sequence elements
+ * @param {number} i Index of the element
+ * @param {boolean} groupStart Whether the element is the first of its group
+ * @returns {boolean}
+ */
+function isBannerImage(sequence, i, groupStart = false) {
+    const element = sequence[i];
+    if (element?.type !== "image" && element?.type !== "video") return false;
+    if (element.attrs?.role === "banner") return true;
+
     return (
-        i === 0 &&
-        i + 1 < sequence.length &&
-        sequence[i].type === "image" &&
-        (sequence[i].role === "banner" || sequence[i + 1].type === "heading")
+        groupStart &&
+        element.type === "image" &&
+        element.attrs?.role !== "icon" &&
+        sequence[i + 1]?.type === "heading"
     );
 }
 
-function readHeadingGroup(sequence, startIdx) {
+function readHeadingGroup(sequence, startIdx, options = {}) {
     const elements = [sequence[startIdx]];
 
     // Iterate starting from the next element
@@ -190,7 +400,7 @@ function readHeadingGroup(sequence, startIdx) {
         // Case 2: Pretitle Promotion (Small -> Big)
         // Only allowed if we haven't gone deep yet (length is 1)
         // e.g. H2 -> H1
-        if (elements.length === 1 && element.level < previousElement.level) {
+        if (elements.length === 1 && isPreTitle(sequence, startIdx, options)) {
             elements.push(element);
             continue;
         }
@@ -203,8 +413,13 @@ function readHeadingGroup(sequence, startIdx) {
 
 /**
  * Process a group's content to identify its structure
+ * @param {Array} elements Sequence elements belonging to the group
+ * @param {Object} options Parsing options
+ * @param {Object} options.groupHandlers Custom handlers keyed by element type
+ * @param {boolean} options.mergeInlineLinks Also add inline links to `links`
+ * @returns {Object} Group with { header, body, metadata }
  */
-function processGroupContent(elements) {
+function processGroupContent(elements, options = {}) {
     const header = {
         pretitle: "",
         title: "",
@@ -213,15 +428,57 @@ function processGroupContent(elements) {
     };
 
     const body = {
+        banner: null,
         imgs: [],
         icons: [],
         videos: [],
         paragraphs: [],
         links: [],
+        inlineLinks: [],
         lists: [],
         data: {},
         quotes: [],
         headings: [],
+        headingIds: [],
+        tables: [],
+        math: [],
+        footnotes: [],
+        details: [],
+        // Ordered blocks referencing the entries of the fields above
+        body: [],
+    };
+
+    // Structured runs mirror the HTML header fields and paragraphs
+    const useRuns = options.inlineFormat === "runs";
+    if (useRuns) {
+        Object.assign(header, {
+            pretitleRuns: [],
+            titleRuns: [],
+            subtitleRuns: [],
+            subtitle2Runs: [],
+        });
+        body.paragraphRuns = [];
+    }
+
+    // Source paths of header and body fields (sourceMap option)
+    if (options.sourceMap) body.sourceMap = {};
+
+    const setHeader = (field, element) => {
+        header[field] = element.text;
+        if (useRuns) header[`${field}Runs`] = element.runs || [];
+        if (body.sourceMap && element.source) body.sourceMap[field] = element.source;
+    };
+
+    // Body headings, with their anchor ids in a parallel array
+    const addBodyHeading = (element) => {
+        body.headings.push(element.text);
+        body.headingIds.push(element.id);
+    };
+
+    // The group's banner image or video, kept out of imgs and videos
+    const setBanner = (element) => {
+        body.banner = { type: element.type, ...element.attrs };
+        if (body.sourceMap && element.source) body.sourceMap.banner = element.source;
     };
 
     const metadata = {
@@ -236,18 +493,39 @@ function processGroupContent(elements) {
             metadata,
         };
 
+    let inBody = false;
+
     for (let i = 0; i < elements.length; i++) {
         //We shuold only set pretitle once
-        if (isPreTitle(elements, i) && !header.pretitle) {
-            header.pretitle = elements[i].text;
+        if (isPreTitle(elements, i, options) && !header.pretitle && !header.title) {
+            setHeader("pretitle", elements[i]);
             i++; // move to known next heading (H1 or h2)
         }
 
         const element = elements[i];
+        const snapshot = snapshotBody(body);
+
+        // Headings after the title's body content are body headings
+        if (element.type !== "heading" && header.title) inBody = true;
+
+        // Custom group handlers replace the built-in mapping for their type
+        const handler = options.groupHandlers?.[element.type];
+        if (typeof handler === "function") {
+            handler(element, body, {
+                header,
+                metadata,
+                options,
+                processGroupContent: (children) =>
+                    processGroupContent(children, options),
+            });
+            recordBlocks(body, snapshot, element);
+            if (body.sourceMap) recordSourceChanges(body, snapshot, element.source);
+            continue;
+        }
 
         if (element.type === "heading") {
             if (element.children && Array.isArray(element.children))
-                processInlineElements(element.children, body);
+                processInlineElements(element.children, body, options, null);
 
             //We shuold set the group level to the highest one instead of the first one.
             metadata.level ??= element.level;
@@ -256,20 +534,29 @@ function processGroupContent(elements) {
             // Assign to header fields
             // h3 h2 h3 h4
             if (!header.title) {
-                header.title = element.text;
+                setHeader("title", element);
+            } else if (inBody) {
+                addBodyHeading(element);
             } else if (!header.subtitle) {
-                header.subtitle = element.text;
+                setHeader("subtitle", element);
             } else if (!header.subtitle2) {
-                header.subtitle2 = element.text;
+                setHeader("subtitle2", element);
             } else {
                 // After subtitle2, we're in body - collect heading
-                body.headings.push(element.text);
+                addBodyHeading(element);
             }
         } else if (element.type === "list") {
             const listItems = element.children;
 
             body.lists.push(
-                listItems.map((listItem) => processGroupContent(listItem).body)
+                listItems.map((listItem, index) => {
+                    const itemBody = processGroupContent(listItem, options).body;
+
+                    // Task list items keep their checked state
+                    if (element.checked) itemBody.checked = element.checked[index];
+
+                    return itemBody;
+                })
             );
         } else {
             let preserveProps = {
@@ -278,28 +565,43 @@ function processGroupContent(elements) {
 
             switch (element.type) {
                 case "paragraph":
+                    // Inline links point at the paragraph they are written in
                     if (element.children && Array.isArray(element.children))
-                        processInlineElements(element.children, body);
-
-                    if (element.text) body.paragraphs.push(element.text);
+                        processInlineElements(
+                            element.children,
+                            body,
+                            options,
+                            element.text ? body.paragraphs.length : null
+                        );
+
+                    if (element.text) {
+                        body.paragraphs.push(element.text);
+                        if (useRuns) body.paragraphRuns.push(element.runs || []);
+                    }
                     break;
 
                 case "image":
                     // Check if this image is actually an icon (role="icon" from ![](lu-zap) syntax)
                     if (element.attrs?.role === "icon") {
                         body.icons.push(element.attrs);
+                    } else if (!body.banner && isBannerImage(elements, i, i === 0)) {
+                        setBanner(element);
                     } else {
                         body.imgs.push(preserveProps);
                     }
                     break;
 
                 case "video":
-                    body.videos.push(preserveProps);
+                    if (!body.banner && isBannerImage(elements, i)) {
+                        setBanner(element);
+                    } else {
+                        body.videos.push(preserveProps);
+                    }
                     break;
 
                 case "link":
                     if (element.children && Array.isArray(element.children))
-                        processInlineElements(element.children, body);
+                        processInlineElements(element.children, body, options, null);
 
                     body.links.push(preserveProps);
                     break;
@@ -325,10 +627,37 @@ function processGroupContent(elements) {
 
                 case "blockquote":
                     // Process blockquote content recursively
-                    const quoteContent = processGroupContent(element.children);
+                    const quoteContent = processGroupContent(
+                        element.children,
+                        options
+                    );
                     body.quotes.push(quoteContent.body);
                     break;
 
+                case "details":
+                    // Collapsible blocks keep their summary and nested body
+                    body.details.push({
+                        summary: element.summary,
+                        open: element.open,
+                        ...processGroupContent(element.children, options).body,
+                    });
+                    break;
+
+                case "table":
+                    body.tables.push({
+                        rows: element.rows,
+                        attrs: element.attrs || {},
+                    });
+                    break;
+
+                case "math":
+                    // Display equations (inline math stays in the rich text)
+                    body.math.push({
+                        latex: element.latex,
+                        display: element.display,
+                    });
+                    break;
+
                 case "dataBlock":
                     // Pre-parsed structured data from content-reader
                     body.data[element.tag] = element.data;
@@ -375,6 +704,9 @@ function processGroupContent(elements) {
                     break;
             }
         }
+
+        recordBlocks(body, snapshot, element);
+        if (body.sourceMap) recordSourceChanges(body, snapshot, element.source);
     }
 
     return {
@@ -384,6 +716,60 @@ function processGroupContent(elements) {
     };
 }
 
+// Body fields in document order, with the block type of their entries
+const BLOCK_TYPES = {
+    paragraphs: "paragraph",
+    headings: "heading",
+    links: "link",
+    imgs: "image",
+    videos: "video",
+    icons: "icon",
+    lists: "list",
+    quotes: "quote",
+    tables: "table",
+    math: "math",
+    details: "details",
+};
+
+/**
+ * Add what an element added to a body to its ordered `body` blocks
+ *
+ * Each block is { type, index, value } where value is the entry at index of
+ * the matching field (body.paragraphs[index] for a "paragraph" block), or
+ * { type: "data", key, value } for body.data. Icons and links inside the
+ * text of a paragraph are part of the paragraph, not blocks of their own.
+ *
+ * @param {Object} body Group body
+ * @param {Object} snapshot Snapshot taken before the element was processed
+ * @param {Object} element Sequence element
+ */
+function recordBlocks(body, snapshot, element) {
+    const isAdded = (field) => body[field].length > (snapshot.lengths[field] || 0);
+
+    let fields = Object.keys(BLOCK_TYPES);
+    if (element.type === "heading") {
+        fields = ["headings"];
+    } else if (element.type === "paragraph" || element.type === "link") {
+        const text = ["paragraphs", "links"].find(isAdded);
+        if (text) fields = [text];
+    }
+
+    fields.filter(isAdded).forEach((field) => {
+        for (let index = snapshot.lengths[field] || 0; index < body[field].length; index++) {
+            body.body.push({ type: BLOCK_TYPES[field], index, value: body[field][index] });
+        }
+    });
+
+    Object.entries(body.data).forEach(([key, value]) => {
+        const changed =
+            !(key in snapshot.values) ||
+            snapshot.values[key] !== value ||
+            (Array.isArray(value) && value.length !== snapshot.data[key]);
+
+        if (changed) body.body.push({ type: "data", key, value });
+    });
+}
+
 /**
  * Determine if the first group should be treated as main content
  */
@@ -400,15 +786,27 @@ function identifyMainContent(groups) {
     return first ? !second || first < second : false;
 }
 
-function processInlineElements(children, body) {
+/**
+ * Collect icons and inline links of a paragraph or heading
+ *
+ * Links inside text go to `inlineLinks` with the index of their paragraph
+ * (null for headings), so `links` only holds standalone links, buttons and
+ * documents. The mergeInlineLinks option adds them to `links` as well.
+ *
+ * @param {Array} children Inline elements
+ * @param {Object} body Group body
+ * @param {Object} options Parsing options
+ * @param {number|null} paragraph Index of the paragraph in body.paragraphs
+ */
+function processInlineElements(children, body, options = {}, paragraph = null) {
     children.forEach((item) => {
         if (item.type === "icon") {
             body.icons.push(item.attrs);
         } else if (item.type === "link") {
-            // Handle inline links extracted from paragraph text nodes
-            body.links.push(item.attrs);
+            body.inlineLinks.push({ ...item.attrs, paragraph });
+            if (options.mergeInlineLinks) body.links.push(item.attrs);
         }
     });
 }
 
-export { processGroups };
+export { processGroups, isPreTitle };
@@ -0,0 +1,261 @@
+/**
+ * Mark renderers used to build rich text HTML from ProseMirror text marks.
+ *
+ * Each renderer wraps already-rendered text for one mark type. Renderers run
+ * in ascending priority order, so lower priorities end up innermost and the
+ * link (highest priority) wraps everything else.
+ *
+ * Text reaching a renderer is already HTML-escaped; renderers are responsible
+ * for escaping the attribute values they emit.
+ */
+
+import {
+    escapeAttribute,
+    isValidAttributeName,
+    sanitizeHref,
+} from "../utils/html.js";
+
+// File extensions that turn a link into a download link
+const fileExtensions = [
+    "pdf",
+    "doc",
+    "docx",
+    "xls",
+    "xlsx",
+    "ppt",
+    "pptx",
+    "jpg",
+    "jpeg",
+    "png",
+    "webp",
+    "gif",
+    "svg",
+    "mp4",
+    "mp3",
+    "wav",
+    "mov",
+    "zip",
+];
+
+const defaultMarkRenderers = {
+    code: {
+        priority: 5,
+        render: (text) => `<code>${text}</code>`,
+    },
+
+    // textStyle (color). Colors are theme tokens (var(--token)); anything
+    // else could inject CSS into the style attribute and is dropped
+    textStyle: {
+        priority: 10,
+        render: (text, mark) => {
+            const color = mark.attrs?.color;
+            return typeof color === "string" && /^[\w-]+$/.test(color)
+                ? `<span style="color: var(--${escapeAttribute(
+                      color
+                  )})">${text}</span>`
+                : text;
+        },
+    },
+
+    highlight: {
+        priority: 20,
+        render: (text) =>
+            `<span style="background-color: var(--highlight)">${text}</span>`,
+    },
+
+    // span (bracketed spans with class/id/attributes)
+    span: {
+        priority: 30,
+        render: (text, mark) => {
+            const attrs = mark.attrs || {};
+            const attrParts = [];
+
+            if (attrs.class)
+                attrParts.push(`class="${escapeAttribute(attrs.class)}"`);
+            if (attrs.id) attrParts.push(`id="${escapeAttribute(attrs.id)}"`);
+
+            // Add any other custom attributes (data-*, etc.)
+            for (const [key, value] of Object.entries(attrs)) {
+                if (
+                    key !== "class" &&
+                    key !== "id" &&
+                    isValidAttributeName(key)
+                ) {
+                    attrParts.push(`${key}="${escapeAttribute(value)}"`);
+                }
+            }
+
+            const attrString =
+                attrParts.length > 0 ? ` ${attrParts.join(" ")}` : "";
+            return `<span${attrString}>${text}</span>`;
+        },
+    },
+
+    bold: {
+        priority: 40,
+        render: (text) => `<strong>${text}</strong>`,
+    },
+
+    italic: {
+        priority: 50,
+        render: (text) => `<em>${text}</em>`,
+    },
+
+    underline: {
+        priority: 60,
+        render: (text) => `<u>${text}</u>`,
+    },
+
+    strike: {
+        priority: 65,
+        render: (text) => `<s>${text}</s>`,
+    },
+
+    subscript: {
+        priority: 70,
+        render: (text) => `<sub>${text}</sub>`,
+    },
+
+    superscript: {
+        priority: 75,
+        render: (text) => `<sup>${text}</sup>`,
+    },
+
+    // link (outermost)
+    link: {
+        priority: 100,
+        render: (text, mark, { options }) => {
+            // Links with a disallowed protocol keep their text only
+            const href = sanitizeHref(mark.attrs?.href, options);
+            if (!href) return text;
+
+            const target = mark.attrs.target || "_self";
+
+            // Check if it's a file link (add download attribute)
+            const extension = href.split(".").pop()?.toLowerCase();
+            const isFileLink = fileExtensions.includes(extension);
+
+            return `<a href="${escapeAttribute(href)}" target="${escapeAttribute(
+                target
+            )}"${isFileLink ? " download" : ""}>${text}</a>`;
+        },
+    },
+};
+
+// Priority given to custom renderers that don't declare one
+const DEFAULT_PRIORITY = 80;
+
+const resolvedCache = new WeakMap();
+
+/**
+ * Merge custom mark renderers with the defaults and sort them by priority
+ *
+ * Custom entries can be a render function, a { priority, render } object,
+ * or null to disable a default renderer. Overriding a default without a
+ * priority keeps the default's position in the nesting order.
+ *
+ * @param {Object} custom Custom renderers keyed by mark type
+ * @returns {Array} Sorted array of { type, priority, render }
+ */
+function resolveMarkRenderers(custom) {
+    if (custom && resolvedCache.has(custom)) {
+        return resolvedCache.get(custom);
+    }
+
+    const merged = { ...defaultMarkRenderers };
+
+    for (const [type, entry] of Object.entries(custom || {})) {
+        if (!entry) {
+            delete merged[type];
+            continue;
+        }
+
+        const renderer = typeof entry === "function" ? { render: entry } : entry;
+        merged[type] = {
+            priority:
+                renderer.priority ??
+                defaultMarkRenderers[type]?.priority ??
+                DEFAULT_PRIORITY,
+            render: renderer.render,
+        };
+    }
+
+    const resolved = Object.entries(merged)
+        .map(([type, renderer]) => ({ type, ...renderer }))
+        .sort((a, b) => a.priority - b.priority);
+
+    if (custom) resolvedCache.set(custom, resolved);
+
+    return resolved;
+}
+
+/**
+ * Wrap text with the HTML of all its marks
+ * @param {string} text Text to wrap
+ * @param {Array} marks ProseMirror marks of the text node
+ * @param {Object} options Parsing options (markRenderers, allowedProtocols)
+ * @returns {string} Rendered HTML
+ */
+function renderMarks(text, marks, options = {}) {
+    if (!marks?.length) return text;
+
+    return resolveMarkRenderers(options.markRenderers).reduce(
+        (styledText, renderer) => {
+            const mark = marks.find((m) => m.type === renderer.type);
+            return mark
+                ? renderer.render(styledText, mark, {
+                      marks,
+                      options,
+                      escapeAttribute,
+                  })
+                : styledText;
+        },
+        text
+    );
+}
+
+/**
+ * Normalize marks for structured (non-HTML) output
+ *
+ * Marks are ordered like the HTML nesting (innermost first, unknown marks
+ * last) and always carry an attrs object without empty values, so equal
+ * formatting always produces equal mark arrays. Links with a disallowed
+ * protocol are dropped, like in HTML output.
+ *
+ * @param {Array} marks ProseMirror marks of a text node
+ * @param {Object} options Parsing options (markRenderers, allowedProtocols)
+ * @returns {Array} Array of { type, attrs }
+ */
+function normalizeMarks(marks, options = {}) {
+    if (!marks?.length) return [];
+
+    const order = resolveMarkRenderers(options.markRenderers).map(
+        (renderer) => renderer.type
+    );
+    const rank = (type) => {
+        const index = order.indexOf(type);
+        return index === -1 ? order.length : index;
+    };
+
+    return marks
+        .map((mark) => {
+            const attrs = {};
+            for (const [key, value] of Object.entries(mark.attrs || {})) {
+                if (value !== null && value !== undefined) attrs[key] = value;
+            }
+            if (mark.type === "link") {
+                attrs.href = sanitizeHref(attrs.href, options);
+                if (!attrs.href) return null;
+            }
+            return { type: mark.type, attrs };
+        })
+        .filter(Boolean)
+        .sort((a, b) => rank(a.type) - rank(b.type));
+}
+
+export {
+    defaultMarkRenderers,
+    resolveMarkRenderers,
+    renderMarks,
+    normalizeMarks,
+};
@@ -1,4 +1,42 @@
 import { parse as parseYaml } from "yaml";
+import { renderMarks, normalizeMarks } from "./marks.js";
+import {
+    collectFootnotes,
+    getFootnoteLabel,
+    renderFootnoteReference,
+} from "./footnotes.js";
+import {
+    escapeHtml,
+    escapeAttribute,
+    sanitizeHref,
+    stripHtml,
+} from "../utils/html.js";
+import { detectVideoProvider, parseTime } from "../utils/video.js";
+import { resolveAsset } from "../utils/assets.js";
+import { createSlugger, collectHeadingIds } from "../utils/slug.js";
+import { collectSourcePaths } from "./source.js";
+import { ParseError, reportDiagnostic } from "./diagnostics.js";
+import {
+    parseToml,
+    parseJson5,
+    parseDelimited,
+    parseIni,
+    parseProperties,
+} from "../utils/formats.js";
+
+// Data parsers for tagged code blocks, keyed by code block language
+const dataParsers = {
+    json: (text) => JSON.parse(text),
+    yaml: (text) => parseYaml(text),
+    yml: (text) => parseYaml(text),
+    toml: parseToml,
+    json5: parseJson5,
+    csv: (text, attrs) => parseDelimited(text, { header: attrs.header }),
+    tsv: (text, attrs) =>
+        parseDelimited(text, { delimiter: "\t", header: attrs.header }),
+    ini: parseIni,
+    properties: parseProperties,
+};
 
 /**
  * Get code block data - prefers pre-parsed attrs.data, falls back to parsing text
@@ -7,11 +45,17 @@ import { parse as parseYaml } from "yaml";
  * 1. Pre-parsed at build time: attrs.data contains parsed JS object
  * 2. Legacy/runtime: text needs to be parsed based on language
  *
+ * Supported languages: json, yaml/yml, toml, json5, csv, tsv, ini and
+ * properties. CSV/TSV become row objects when the first row is a header
+ * (detected, or set with attrs.header).
+ *
  * @param {string} text - Raw code block text
- * @param {Object} attrs - Code block attributes (language, tag, data)
+ * @param {Object} attrs - Code block attributes (language, tag, data, header)
+ * @param {Object} options - Parsing options (for diagnostics)
+ * @param {Object} node - Code block node (for diagnostics)
  * @returns {*} Parsed data or raw text
  */
-function getCodeBlockData(text, attrs) {
+function getCodeBlockData(text, attrs, options = {}, node = null) {
     const { language, tag, data } = attrs || {};
 
     // Only process tagged blocks
@@ -26,25 +70,42 @@ function getCodeBlockData(text, attrs) {
 
     // Fallback: parse text at runtime (for backwards compatibility)
     const lang = (language || "").toLowerCase();
+    const parser = dataParsers[lang];
 
-    if (lang === "json") {
-        try {
-            return JSON.parse(text);
-        } catch {
-            return text;
-        }
-    }
+    // Unknown language - return raw text
+    if (!parser) return text;
 
-    if (lang === "yaml" || lang === "yml") {
-        try {
-            return parseYaml(text);
-        } catch {
-            return text;
-        }
+    try {
+        return parser(text, attrs);
+    } catch (err) {
+        reportDiagnostic(
+            options,
+            {
+                severity: "error",
+                code: "invalid-data",
+                message: `Invalid ${lang} in code block "${tag}": ${err.message}`,
+            },
+            node
+        );
+        return text;
     }
+}
 
-    // Unknown language - return raw text
-    return text;
+/**
+ * Create the state shared by all nodes of one parse
+ * @param {Object} doc ProseMirror document
+ * @param {Object} options Parsing options
+ * @returns {Object} Parse state
+ */
+function createParseState(doc, options = {}) {
+    return {
+        footnotes: collectFootnotes(doc),
+        // Generated heading ids avoid the ids set explicitly
+        slugger: createSlugger(collectHeadingIds(doc)),
+        sourcePaths: options.sourceMap ? collectSourcePaths(doc) : null,
+        diagnostics: [],
+        doc,
+    };
 }
 
 /**
@@ -54,6 +115,11 @@ function getCodeBlockData(text, attrs) {
  * @returns {Array} Sequence of content elements
  */
 function processSequence(doc, options = {}) {
+    // Nested calls share the state created for the top-level document
+    if (!options.state) {
+        options = { ...options, state: createParseState(doc, options) };
+    }
+
     const sequence = [];
     processNode(doc, sequence, options);
 
@@ -61,9 +127,20 @@ function processSequence(doc, options = {}) {
 }
 
 function processNode(node, sequence, options) {
+    const sourcePaths = options.state?.sourcePaths;
+
     if (node.content && Array.isArray(node.content)) {
         node.content?.forEach((child) => {
-            const result = createSequenceElement(child, options);
+            const result = createSafeSequenceElement(child, options);
+
+            // sourceMap: path of the originating node in the raw document
+            if (result && sourcePaths) {
+                [].concat(result).forEach((element) => {
+                    if (element && element.source === undefined) {
+                        element.source = sourcePaths.get(child) ?? null;
+                    }
+                });
+            }
 
             if (result) {
                 // Handle case where element returns multiple items (e.g., paragraph with only links)
@@ -77,11 +154,219 @@ function processNode(node, sequence, options) {
     }
 }
 
+/**
+ * Find a structural problem in a node itself (not its descendants)
+ * @param {Object} node Document node
+ * @returns {string|null} Description of the problem, or null if valid
+ */
+function findNodeProblem(node) {
+    if (!node || typeof node !== "object" || Array.isArray(node)) {
+        return "not a node";
+    }
+    if (typeof node.type !== "string") return "node without a type";
+
+    if (node.attrs != null && (typeof node.attrs !== "object" || Array.isArray(node.attrs))) {
+        return "attrs is not an object";
+    }
+    if (node.marks != null) {
+        if (!Array.isArray(node.marks)) return "marks is not an array";
+        if (node.marks.some((mark) => typeof mark?.type !== "string")) {
+            return "invalid mark";
+        }
+    }
+    if (node.type === "text" && typeof node.text !== "string") {
+        return "text node without text";
+    }
+    if (node.content != null && !Array.isArray(node.content)) {
+        return "content is not an array";
+    }
+
+    return null;
+}
+
+/**
+ * Find values a node is missing and the parser fills in with a default
+ * @param {Object} node Document node
+ * @returns {Array<Object>} Diagnostic code and message of each missing value
+ */
+function findMissingValues(node) {
+    const missing = [];
+
+    if (node.type === "heading" && !node.attrs?.level) {
+        missing.push({
+            code: "missing-heading-level",
+            message: "Heading without a level, using level 1",
+        });
+    }
+    if (listStyles[node.type] && node.content == null) {
+        missing.push({
+            code: "missing-list-content",
+            message: `${node.type} without content, using an empty list`,
+        });
+    }
+    if (node.marks?.some((mark) => mark.type === "link" && !mark.attrs?.href)) {
+        missing.push({
+            code: "missing-link-href",
+            message: "Link without an href, keeping its text only",
+        });
+    }
+
+    return missing;
+}
+
+/**
+ * Check a node and its descendants, leaving out malformed nodes
+ *
+ * Each malformed node is reported as an "invalid-node" error and dropped,
+ * while its valid siblings are kept. Missing values the parser can default
+ * (a heading level, list content, a link href) are reported as errors too,
+ * but the node is kept. Checked subtrees are remembered, so nested content
+ * is checked (and reported) only once.
+ *
+ * @param {Object} node Document node
+ * @param {Object} options Parsing options
+ * @returns {Object|null} The node, a copy without its malformed
+ *     descendants, or null if the node itself is malformed
+ */
+function dropInvalidNodes(node, options) {
+    const state = options.state;
+    const valid = (state.validNodes ??= new WeakSet());
+
+    if (valid.has(node)) return node;
+
+    const problem = findNodeProblem(node);
+
+    if (problem) {
+        const type = typeof node?.type === "string" ? node.type : "unknown";
+
+        reportDiagnostic(
+            options,
+            {
+                severity: "error",
+                code: "invalid-node",
+                message: `Invalid ${type} node: ${problem}`,
+            },
+            node && typeof node === "object" ? node : null
+        );
+        return null;
+    }
+
+    findMissingValues(node).forEach(({ code, message }) =>
+        reportDiagnostic(options, { severity: "error", code, message }, node)
+    );
+
+    const content = node.content?.map((child) => dropInvalidNodes(child, options));
+    let checked = node;
+
+    if (content?.some((child, index) => child !== node.content[index])) {
+        checked = { ...node, content: content.filter(Boolean) };
+
+        // The copy stands for the original node in the sourceMap
+        if (state.sourcePaths?.has(node)) {
+            state.sourcePaths.set(checked, state.sourcePaths.get(node));
+        }
+    }
+
+    valid.add(checked);
+    return checked;
+}
+
+/**
+ * Create a sequence element, skipping nodes that can't be processed
+ *
+ * Malformed nodes (content that isn't an array, marks without a type, ...)
+ * are reported as "invalid-node" errors and left out of the sequence; in
+ * strict mode they throw a ParseError.
+ *
+ * @param {Object} node Document node
+ * @param {Object} options Parsing options
+ * @returns {Object|Array|null} Sequence element(s)
+ */
+function createSafeSequenceElement(node, options) {
+    node = dropInvalidNodes(node, options);
+    if (!node) return null;
+
+    try {
+        return createSequenceElement(node, options);
+    } catch (err) {
+        // Already reported (strict mode) - don't wrap again
+        if (err instanceof ParseError) throw err;
+
+        reportDiagnostic(
+            options,
+            {
+                severity: "error",
+                code: "invalid-node",
+                message: `Malformed ${node.type} node: ${err.message}`,
+                cause: err,
+            },
+            node
+        );
+        return null;
+    }
+}
+
+// List node types and their sequence style
+const listStyles = {
+    bulletList: "bullet",
+    orderedList: "ordered",
+    taskList: "task",
+};
+
+// Math node types: content-reader names and TipTap mathematics extension names
+const inlineMathTypes = ["math-inline", "inlineMath"];
+const displayMathTypes = ["math-display", "blockMath"];
+
+/**
+ * Get the LaTeX source of a math node (attribute or text content)
+ * @param {Object} node Math node
+ * @returns {string} LaTeX source
+ */
+function getLatex(node) {
+    const latex = [node.attrs?.latex, node.attrs?.content].find(
+        (value) => typeof value === "string"
+    );
+
+    return (latex ?? getPlainText(node.content)).trim();
+}
+
+/**
+ * Build the helper context handed to custom node handlers
+ * @param {Object} options Parsing options
+ * @returns {Object} Helpers bound to the current options
+ */
+function createHandlerContext(options) {
+    return {
+        options,
+        getTextContent: (content) => getTextContent(content, options),
+        processInlineElements: (content) =>
+            processInlineElements(content, options),
+        processSequence: (doc) => processSequence(doc, options),
+    };
+}
+
 function createSequenceElement(node, options = {}) {
     const attrs = node.attrs;
     const content = node.content;
 
-    const linkVal = isLink(node);
+    // Custom node handlers take precedence over built-in handling.
+    // Returning undefined falls through to the built-in logic.
+    const handler = options.nodeHandlers?.[node.type];
+    if (typeof handler === "function") {
+        const custom = handler(node, createHandlerContext(options));
+        if (custom !== undefined) return custom;
+    }
+
+    // A paragraph holding only a video platform URL is an embedded video
+    const videoUrl = getBareVideoUrl(node);
+    if (videoUrl) {
+        return {
+            type: "video",
+            attrs: parseVideoBlock({ src: videoUrl }, options),
+        };
+    }
+
+    const linkVal = isLink(node, options);
 
     if (linkVal) {
         return {
@@ -91,41 +376,53 @@ function createSequenceElement(node, options = {}) {
     }
 
     // Check for paragraph containing only multiple links (no other text)
-    const multipleLinks = isOnlyLinks(node);
+    const multipleLinks = isOnlyLinks(node, options);
     if (multipleLinks) {
         return multipleLinks; // Returns array of link elements
     }
 
-    const styledLink = isStyledLink(node);
+    const styledLink = isStyledLink(node, options);
 
     if (styledLink) return styledLink;
 
     switch (node.type) {
         case "heading":
-            return {
-                type: "heading",
-                level: node.attrs.level,
-                text: getTextContent(content, options),
-                children: processInlineElements(content),
-                attrs,
-            };
+            return withRuns(
+                {
+                    type: "heading",
+                    level: attrs?.level || 1,
+                    id: getHeadingId(node, options),
+                    text: getTextContent(content, options),
+                    children: processInlineElements(content, options),
+                    attrs,
+                },
+                content,
+                options
+            );
 
         case "paragraph": {
             let textContent = getTextContent(content, options);
 
-            return {
-                type: "paragraph",
-                text: textContent,
-                children: processInlineElements(content),
-                attrs,
-            };
+            return withRuns(
+                {
+                    type: "paragraph",
+                    text: textContent,
+                    children: processInlineElements(content, options),
+                    attrs,
+                },
+                content,
+                options
+            );
         }
         case "blockquote":
             return {
                 type: "blockquote",
-                children: processSequence({
-                    content,
-                }),
+                children: processSequence(
+                    {
+                        content,
+                    },
+                    options
+                ),
                 attrs,
             };
 
@@ -133,22 +430,23 @@ function createSequenceElement(node, options = {}) {
             // Pre-parsed structured data from content-reader
             return {
                 type: "dataBlock",
-                data: attrs.data,
-                tag: attrs.tag,
+                data: attrs?.data,
+                tag: attrs?.tag,
             };
 
         case "codeBlock":
-            const codeText = getTextContent(content, options);
+            // Code is kept as raw text (not HTML) so data blocks parse as written
+            const codeText = getPlainText(content);
             return {
                 type: "codeBlock",
-                text: getCodeBlockData(codeText, attrs),
+                text: getCodeBlockData(codeText, attrs, options, node),
                 attrs,
             };
 
         case "ImageBlock":
             return {
                 type: "image",
-                attrs: parseImgBlock(attrs),
+                attrs: parseImgBlock(attrs, options),
             };
         case "image":
             // Standard ProseMirror image node - wrap attrs like ImageBlock
@@ -159,30 +457,128 @@ function createSequenceElement(node, options = {}) {
         case "Video":
             return {
                 type: "video",
-                attrs: parseVideoBlock(attrs),
+                attrs: parseVideoBlock(attrs, options),
             };
-        case "bulletList":
-        case "orderedList": {
-            const listItems = content
-                .map((c) =>
-                    c.type === "listItem" && c.content ? c.content : null
-                )
-                .filter(Boolean);
-
+        case "youtube":
+            // TipTap YouTube extension
+            return {
+                type: "video",
+                attrs: parseVideoBlock(attrs || {}, options),
+            };
+        case "iframe":
+            // Only iframes of known video platforms are videos
+            if (detectVideoProvider(attrs?.src)) {
+                return {
+                    type: "video",
+                    attrs: parseVideoBlock(attrs, options),
+                };
+            }
             return {
+                type: node.type,
+                content: getTextContent(content, options),
+                attrs,
+            };
+        case "bulletList":
+        case "orderedList":
+        case "taskList": {
+            const listItems = (content || []).filter(
+                (c) =>
+                    (c.type === "listItem" || c.type === "taskItem") &&
+                    c.content
+            );
+
+            const list = {
                 type: "list",
-                style: node.type === "bulletList" ? "bullet" : "ordered",
+                style: listStyles[node.type],
                 children: listItems.map((listItem) => {
-                    return processSequence({
-                        content: listItem,
-                    });
+                    return processSequence(
+                        {
+                            content: listItem.content,
+                        },
+                        options
+                    );
                 }),
                 attrs,
             };
+
+            // Task lists carry the checked state of each item
+            if (node.type === "taskList") {
+                list.checked = listItems.map(
+                    (listItem) => !!listItem.attrs?.checked
+                );
+            }
+
+            return list;
         }
 
+        case "table":
+            return {
+                type: "table",
+                rows: (content || [])
+                    .filter((row) => row.type === "tableRow")
+                    .map((row) => parseTableRow(row, options)),
+                attrs,
+            };
+
+        case "details": {
+            // Collapsible block: detailsSummary (inline) + detailsContent (blocks)
+            const summary = content?.find((c) => c.type === "detailsSummary");
+            const body = content?.find((c) => c.type === "detailsContent");
+
+            return withRuns(
+                {
+                    type: "details",
+                    summary: getTextContent(summary?.content, options),
+                    open: !!attrs?.open,
+                    children: processSequence(
+                        { content: body?.content || [] },
+                        options
+                    ),
+                    attrs,
+                },
+                summary?.content,
+                options
+            );
+        }
+
+        case "footnotes":
+            // Container of footnote definitions
+            return processSequence({ content }, options);
+
+        case "footnoteDefinition":
+        case "footnote": {
+            const label = getFootnoteLabel(attrs);
+            const number = options.state.footnotes.numbers.get(label);
+            const inline = joinBlockContent(content);
+
+            return withRuns(
+                {
+                    type: "footnote",
+                    id: `fn-${number}`,
+                    number,
+                    label,
+                    text: getTextContent(inline, options),
+                    children: processSequence({ content }, options),
+                    // Ids of the reference anchors, for back-links
+                    refs: options.state.footnotes.refs.get(label) || [],
+                },
+                inline,
+                options
+            );
+        }
+
+        case "math-display":
+        case "blockMath":
+            return {
+                type: "math",
+                display: true,
+                latex: getLatex(node),
+                attrs,
+            };
+
         case "DividerBlock":
         case "horizontalRule":
+        case "divider":
             return {
                 type: "divider",
             };
@@ -194,7 +590,7 @@ function createSequenceElement(node, options = {}) {
                 cards:
                     node.content
                         ?.filter((c) => c.type === "card" && !c.attrs?.hidden)
-                        .map((card) => parseCardBlock(card.attrs)) || [],
+                        .map((card) => parseCardBlock(card.attrs, options, card)) || [],
             };
 
         case "document-group":
@@ -203,7 +599,7 @@ function createSequenceElement(node, options = {}) {
                 documents:
                     node.content
                         ?.filter((c) => c.type === "document")
-                        .map((doc) => parseDocumentBlock(doc.attrs)) || [],
+                        .map((doc) => parseDocumentBlock(doc.attrs, options)) || [],
             };
 
         case "FormBlock":
@@ -214,6 +610,15 @@ function createSequenceElement(node, options = {}) {
                     formData = JSON.parse(formData);
                 } catch (err) {
                     // Keep as string
+                    reportDiagnostic(
+                        options,
+                        {
+                            severity: "error",
+                            code: "invalid-form-data",
+                            message: `Invalid form data JSON: ${err.message}`,
+                        },
+                        node
+                    );
                 }
             }
 
@@ -228,12 +633,22 @@ function createSequenceElement(node, options = {}) {
 
             if (!textContent) return null;
 
-            return {
-                type: "button",
-                text: textContent,
-                children: processInlineElements(content),
-                attrs,
-            };
+            return withRuns(
+                {
+                    type: "button",
+                    text: textContent,
+                    children: processInlineElements(content, options),
+                    attrs:
+                        attrs?.href !== undefined
+                            ? {
+                                  ...attrs,
+                                  href: sanitizeHref(attrs.href, options),
+                              }
+                            : attrs,
+                },
+                content,
+                options
+            );
         }
         case "UniwebIcon":
             return {
@@ -247,9 +662,20 @@ function createSequenceElement(node, options = {}) {
             };
 
         default:
+            reportDiagnostic(
+                options,
+                {
+                    severity: "warning",
+                    code: "unknown-node",
+                    message: `Unknown node type "${node.type}"`,
+                },
+                node
+            );
+
             return {
                 type: node.type,
                 content: getTextContent(content, options),
+                attrs,
             };
     }
 }
@@ -260,117 +686,191 @@ function getTextContent(content, options = {}) {
     return content
         .reduce((prev, curr) => {
             const { type, marks = [], text } = curr;
+            const footnoteRef = getFootnoteReference(curr, options);
+
+            if (footnoteRef) {
+                return prev + renderFootnoteReference(footnoteRef);
+            } else if (type === "text") {
+                // Marks are applied by priority (see marks.js) so that
+                // nesting is consistent: link is always the outermost tag
+                const styledText = renderMarks(
+                    escapeHtml(text || ""),
+                    marks,
+                    options
+                );
 
-            if (type === "text") {
-                let styledText = text || "";
+                return prev + styledText;
+            } else if (type === "hardBreak") {
+                return prev + "<br>";
+            } else if (inlineMathTypes.includes(type)) {
+                // Stable markup for client-side rendering (e.g. KaTeX)
+                const latex = getLatex(curr);
+                return (
+                    prev +
+                    `<span class="math-inline" data-latex="${escapeAttribute(
+                        latex
+                    )}">${escapeHtml(latex)}</span>`
+                );
+            } else {
+                // console.warn(`unhandled text content type: ${type}`, curr);
+                return prev;
+            }
+        }, "")
+        .trim();
+}
 
-                // Apply marks in order: textStyle, highlight, bold, italic, link
-                // This ensures proper nesting
+/**
+ * Get the numbered footnote reference for an inline node, if it is one
+ * @param {Object} node Inline node
+ * @param {Object} options Parsing options (state)
+ * @returns {Object|undefined} { label, number, id, target }
+ */
+function getFootnoteReference(node, options) {
+    return options.state?.footnotes.refNodes.get(node);
+}
 
-                // textStyle (color)
-                if (marks.some((mark) => mark.type === "textStyle")) {
-                    const color = marks.find(
-                        (mark) => mark.type === "textStyle"
-                    )?.attrs?.color;
-                    if (color) {
-                        styledText = `<span style="color: var(--${color})">${styledText}</span>`;
-                    }
-                }
+/**
+ * Join the inline content of several blocks with hard breaks
+ * @param {Array} blocks Block nodes (e.g. paragraphs of a table cell)
+ * @returns {Array} Inline content
+ */
+function joinBlockContent(blocks) {
+    const inline = [];
 
-                // highlight
-                if (marks.some((mark) => mark.type === "highlight")) {
-                    styledText = `<span style="background-color: var(--highlight)">${styledText}</span>`;
-                }
+    (blocks || []).forEach((block, index) => {
+        if (index > 0) inline.push({ type: "hardBreak" });
+        inline.push(...(block.content || []));
+    });
 
-                // span (bracketed spans with class/id/attributes)
-                if (marks.some((mark) => mark.type === "span")) {
-                    const spanMark = marks.find((mark) => mark.type === "span");
-                    const attrs = spanMark?.attrs || {};
-                    const attrParts = [];
+    return inline;
+}
 
-                    if (attrs.class) attrParts.push(`class="${attrs.class}"`);
-                    if (attrs.id) attrParts.push(`id="${attrs.id}"`);
+/**
+ * Get the raw text of inline content, ignoring marks
+ * @param {Array} content Inline content of a block node
+ * @returns {string} Concatenated text
+ */
+function getPlainText(content) {
+    if (!content) return "";
 
-                    // Add any other custom attributes (data-*, etc.)
-                    for (const [key, value] of Object.entries(attrs)) {
-                        if (key !== 'class' && key !== 'id') {
-                            attrParts.push(`${key}="${value}"`);
-                        }
-                    }
+    return content
+        .map((node) =>
+            node.type === "hardBreak" ? "\n" : node.text || ""
+        )
+        .join("");
+}
 
-                    const attrString = attrParts.length > 0 ? ` ${attrParts.join(' ')}` : '';
-                    styledText = `<span${attrString}>${styledText}</span>`;
-                }
+/**
+ * Get the anchor id of a heading
+ * An explicit attrs.id is kept; otherwise a unique slug of the heading text.
+ * @param {Object} node Heading node
+ * @param {Object} options Parsing options (with the parse state)
+ * @returns {string} Heading id
+ */
+function getHeadingId(node, options = {}) {
+    if (node.attrs?.id) return String(node.attrs.id);
 
-                // bold
-                if (marks.some((mark) => mark.type === "bold")) {
-                    styledText = `<strong>${styledText}</strong>`;
-                }
+    return options.state.slugger(getPlainText(node.content));
+}
 
-                // italic
-                if (marks.some((mark) => mark.type === "italic")) {
-                    styledText = `<em>${styledText}</em>`;
-                }
+/**
+ * Get the content of a text block as structured text runs
+ *
+ * Runs are the HTML-free counterpart of getTextContent: adjacent text with
+ * identical marks is merged and hard breaks become "\n" runs. Inline math
+ * and footnote references become typed runs ({ type: "math", text: latex },
+ * { type: "footnote-ref", text: number, id, href }) that are never merged.
+ *
+ * @param {Array} content Inline content of a block node
+ * @param {Object} options Parsing options
+ * @returns {Array} Array of { text, marks: [{ type, attrs }] }
+ */
+function getTextRuns(content, options = {}) {
+    if (!content) return [];
 
-                // link (outermost)
-                if (marks.some((mark) => mark.type === "link")) {
-                    const linkMark = marks.find((mark) => mark.type === "link");
-                    const href = linkMark.attrs.href;
-                    const target = linkMark.attrs.target || "_self";
-
-                    // Check if it's a file link (add download attribute)
-                    const fileExtensions = [
-                        "pdf",
-                        "doc",
-                        "docx",
-                        "xls",
-                        "xlsx",
-                        "ppt",
-                        "pptx",
-                        "jpg",
-                        "jpeg",
-                        "png",
-                        "webp",
-                        "gif",
-                        "svg",
-                        "mp4",
-                        "mp3",
-                        "wav",
-                        "mov",
-                        "zip",
-                    ];
-                    const extension = href.split(".").pop()?.toLowerCase();
-                    const isFileLink = fileExtensions.includes(extension);
-
-                    styledText = `<a href="${href}" target="${target}"${
-                        isFileLink ? " download" : ""
-                    }>${styledText}</a>`;
-                }
+    const runs = [];
 
-                return prev + styledText;
-            } else if (type === "hardBreak") {
-                return prev + "<br>";
-            } else {
-                // console.warn(`unhandled text content type: ${type}`, curr);
-                return prev;
-            }
-        }, "")
-        .trim();
+    for (const node of content) {
+        const { type, marks, text } = node;
+        const footnoteRef = getFootnoteReference(node, options);
+        let run = null;
+
+        if (footnoteRef) {
+            run = {
+                type: "footnote-ref",
+                text: String(footnoteRef.number),
+                marks: [],
+                id: footnoteRef.id,
+                href: `#${footnoteRef.target}`,
+            };
+        } else if (type === "text" && text) {
+            run = { text, marks: normalizeMarks(marks, options) };
+        } else if (type === "hardBreak") {
+            run = { text: "\n", marks: [] };
+        } else if (inlineMathTypes.includes(type)) {
+            run = { type: "math", text: getLatex(node), marks: [] };
+        }
+
+        if (!run) continue;
+
+        // Only plain text runs are merged; typed runs (math) stand alone
+        const previous = runs[runs.length - 1];
+        if (
+            previous &&
+            !previous.type &&
+            !run.type &&
+            JSON.stringify(previous.marks) === JSON.stringify(run.marks)
+        ) {
+            previous.text += run.text;
+        } else {
+            runs.push(run);
+        }
+    }
+
+    // Trim like getTextContent does for HTML
+    const first = runs[0];
+    const last = runs[runs.length - 1];
+    if (first && !first.type) first.text = first.text.trimStart();
+    if (last && !last.type) last.text = last.text.trimEnd();
+
+    return runs.filter((run) => run.text);
 }
 
-function processInlineElements(content) {
+/**
+ * Add structured runs to a text-bearing element when requested
+ * @param {Object} element Sequence element
+ * @param {Array} content Inline content the element was built from
+ * @param {Object} options Parsing options (inlineFormat)
+ * @returns {Object} The element
+ */
+function withRuns(element, content, options) {
+    if (options.inlineFormat === "runs") {
+        element.runs = getTextRuns(content, options);
+    }
+    return element;
+}
+
+function processInlineElements(content, options = {}) {
     if (!content) return [];
 
     const items = [];
 
     for (const item of content) {
-        if (item.type === "UniwebIcon") {
+        const footnoteRef = getFootnoteReference(item, options);
+
+        if (footnoteRef) {
+            items.push({ type: "footnote-ref", ...footnoteRef });
+        } else if (item.type === "UniwebIcon") {
             items.push({
                 type: "icon",
                 attrs: parseUniwebIcon(item.attrs),
             });
-        } else if (item.type === "math-inline") {
-            items.push(item);
+        } else if (inlineMathTypes.includes(item.type)) {
+            items.push({
+                type: "math",
+                display: false,
+                latex: getLatex(item),
+            });
         } else if (item.type === "text" && item.marks) {
             // Extract links from text nodes with link marks
             const linkMark = item.marks.find((m) => m.type === "link");
@@ -379,6 +879,7 @@ function processInlineElements(content) {
                     type: "link",
                     attrs: {
                         ...linkMark.attrs,  // Preserve all link attributes (role, target, etc.)
+                        href: sanitizeHref(linkMark.attrs?.href, options),
                         label: item.text || "",
                     },
                 });
@@ -389,7 +890,46 @@ function processInlineElements(content) {
     return items;
 }
 
-function makeAssetUrl(info) {
+/**
+ * Parse a tableRow node into { header, cells }
+ * A row is a header row when all of its cells are tableHeader nodes.
+ */
+function parseTableRow(row, options) {
+    const cells = (row.content || [])
+        .filter((c) => c.type === "tableCell" || c.type === "tableHeader")
+        .map((cell) => parseTableCell(cell, options));
+
+    return {
+        header: cells.length > 0 && cells.every((cell) => cell.header),
+        cells,
+    };
+}
+
+/**
+ * Parse a tableCell/tableHeader node
+ * The inline content of the cell's blocks is joined with line breaks into
+ * a single rich text value; the full block content is kept in children.
+ */
+function parseTableCell(cell, options) {
+    const attrs = cell.attrs || {};
+    const blocks = cell.content || [];
+    const inline = joinBlockContent(blocks);
+
+    return withRuns(
+        {
+            text: getTextContent(inline, options),
+            header: cell.type === "tableHeader",
+            colspan: attrs.colspan || 1,
+            rowspan: attrs.rowspan || 1,
+            align: attrs.align || attrs.textAlign || null,
+            children: processSequence({ content: blocks }, options),
+        },
+        inline,
+        options
+    );
+}
+
+function makeAssetUrl(info, options = {}) {
     let url = "";
 
     let src = info?.src || info?.url || "";
@@ -397,17 +937,14 @@ function makeAssetUrl(info) {
     if (src) {
         url = src;
     } else if (info?.identifier) {
-        url =
-            new uniweb.Profile(`docufolio/profile`, "_template").getAssetInfo(
-                info.identifier
-            )?.src || "";
+        url = resolveAsset(info, options)?.src || "";
     }
 
     return url;
 }
 
-function parseCardBlock(itemAttrs) {
-    const { address, ...others } = itemAttrs;
+function parseCardBlock(itemAttrs, options = {}, node = null) {
+    const { address, ...others } = itemAttrs || {};
 
     let parsedAddress = null;
 
@@ -415,7 +952,17 @@ function parseCardBlock(itemAttrs) {
         if (address) {
             parsedAddress = JSON.parse(address);
         }
-    } catch {}
+    } catch (err) {
+        reportDiagnostic(
+            options,
+            {
+                severity: "error",
+                code: "invalid-card-address",
+                message: `Invalid card address JSON: ${err.message}`,
+            },
+            node
+        );
+    }
 
     const { coverImg = null, icon } = others;
 
@@ -426,16 +973,16 @@ function parseCardBlock(itemAttrs) {
     return {
         ...others,
         address: parsedAddress,
-        coverImg: makeAssetUrl(coverImg),
+        coverImg: makeAssetUrl(coverImg, options),
     };
 }
 
-function parseDocumentBlock(itemAttrs) {
-    const { src, info = {}, coverImg = null, ...others } = itemAttrs;
+function parseDocumentBlock(itemAttrs, options = {}) {
+    const { src, info = {}, coverImg = null, ...others } = itemAttrs || {};
 
     let ele = {
         ...others,
-        coverImg: makeAssetUrl(coverImg),
+        coverImg: makeAssetUrl(coverImg, options),
     };
 
     if (src) {
@@ -444,10 +991,7 @@ function parseDocumentBlock(itemAttrs) {
         const { identifier = "" } = info;
 
         if (identifier) {
-            ele.downloadUrl = new uniweb.Profile(
-                `docufolio/profile`,
-                "_template"
-            ).getAssetInfo(identifier)?.href;
+            ele.downloadUrl = resolveAsset(info, options)?.href;
         }
     }
 
@@ -469,12 +1013,12 @@ function parseUniwebIcon(itemAttrs) {
 }
 
 function parseIconBlock(itemAttrs) {
-    let { svg } = itemAttrs;
+    let { svg } = itemAttrs || {};
 
     return svg;
 }
 
-function parseImgBlock(itemAttrs) {
+function parseImgBlock(itemAttrs, options = {}) {
     let {
         info: imgInfo,
         targetId,
@@ -488,7 +1032,7 @@ function parseImgBlock(itemAttrs) {
         theme,
         role,
         credit = "",
-    } = itemAttrs;
+    } = itemAttrs || {};
 
     let { contentType, viewType, contentId, identifier } = imgInfo || {};
 
@@ -498,10 +1042,10 @@ function parseImgBlock(itemAttrs) {
         fill: "full",
     };
 
-    caption = stripTags(caption);
+    caption = stripHtml(caption);
 
     if (identifier) {
-        url = makeAssetUrl(imgInfo);
+        url = makeAssetUrl(imgInfo, options);
     }
 
     return {
@@ -524,7 +1068,7 @@ function parseImgBlock(itemAttrs) {
     };
 }
 
-function parseVideoBlock(itemAttrs) {
+function parseVideoBlock(itemAttrs, options = {}) {
     let {
         src,
         caption = "",
@@ -534,40 +1078,61 @@ function parseVideoBlock(itemAttrs) {
         alt,
         href = "",
         target = "",
-    } = itemAttrs;
+        start,
+        role,
+    } = itemAttrs || {};
+
+    let video = makeAssetUrl(
+        {
+            src,
+            ...info,
+        },
+        options
+    );
 
-    let video = makeAssetUrl({
-        src,
-        ...info,
-    });
+    // Platform metadata (null fields for self-hosted videos)
+    const platform = detectVideoProvider(video) || {};
+    const startTime = parseTime(start) || platform.startTime || null;
 
     return {
         src: video,
         caption,
         direction,
-        coverImg: makeAssetUrl(coverImg),
+        coverImg: makeAssetUrl(coverImg, options),
         alt,
         href,
         target,
+        provider: platform.provider || null,
+        videoId: platform.videoId || null,
+        embedUrl: platform.embedUrl || null,
+        thumbnailUrl: platform.thumbnailUrl || null,
+        startTime,
+        role,
     };
 }
 
-function stripTags(htmlString) {
-    if (!htmlString || typeof htmlString !== "string") return "";
+/**
+ * Get the URL of a paragraph that consists of a single video platform URL
+ * (plain text, or linked text whose href is the URL itself)
+ * @param {Object} node Block node
+ * @returns {string|null} Video URL
+ */
+function getBareVideoUrl(node) {
+    if (node.type !== "paragraph") return null;
 
-    // Remove HTML tags using regular expression
-    const plainString = htmlString.replace(/<[^>]*>/g, "");
+    const content = (node.content || []).filter(
+        (c) => !(c.type === "text" && !(c.text || "").trim())
+    );
+    if (content.length !== 1 || content[0].type !== "text") return null;
 
-    // Decode HTML entities
-    const decodedString = new DOMParser().parseFromString(
-        plainString,
-        "text/html"
-    ).body.textContent;
+    const url = content[0].text.trim();
+    const link = content[0].marks?.find((m) => m.type === "link");
+    if (link && link.attrs?.href?.trim() !== url) return null;
 
-    return decodedString;
+    return detectVideoProvider(url) ? url : null;
 }
 
-function isLink(item) {
+function isLink(item, options = {}) {
     // Detect paragraphs/headings that are semantically "just a link"
     // (single link text, possibly with decorative icons)
     //
@@ -621,11 +1186,12 @@ function isLink(item) {
 
                     return {
                         ...mark?.attrs,  // Preserve all link attributes (role, target, etc.)
+                        href: sanitizeHref(mark?.attrs?.href, options),
                         label: contentItem?.text || "",
                         iconBefore,
                         iconAfter,
                         // Preserve all inline elements for advanced rendering
-                        children: processInlineElements(originalContent),
+                        children: processInlineElements(originalContent, options),
                     };
                 }
             }
@@ -646,10 +1212,13 @@ function isLink(item) {
  * ```
  * Markdown treats these as a single paragraph, but semantically they're separate links.
  *
+ * Icons between the links (social/footer rows) become the iconBefore/iconAfter
+ * of the adjacent link rather than separate icons.
+ *
  * @param {Object} item - Sequence item (paragraph)
  * @returns {Array|false} Array of link objects or false
  */
-function isOnlyLinks(item) {
+function isOnlyLinks(item, options = {}) {
     if (item.type !== "paragraph") return false;
 
     const content = item?.content || [];
@@ -673,24 +1242,59 @@ function isOnlyLinks(item) {
 
     if (!allLinks) return false;
 
-    // Extract links with all their attributes
-    // Icons in this paragraph go to body.icons separately (no association)
-    return textContent.map((c) => {
+    // Icons attach to the link next to them. When the paragraph starts with
+    // an icon, icons lead their link ([icon] Twitter [icon] GitHub);
+    // otherwise they trail it (Twitter [icon] GitHub [icon]).
+    const first = content.find(
+        (c) => c.type === "UniwebIcon" || textContent.includes(c)
+    );
+    const iconsLead = first?.type === "UniwebIcon";
+
+    const links = [];
+    let pendingIcon = null;
+
+    content.forEach((c) => {
+        if (c.type === "UniwebIcon") {
+            const icon = parseUniwebIcon(c.attrs);
+            const previous = links[links.length - 1];
+
+            if (iconsLead) {
+                // The last icon before a link wins
+                pendingIcon = icon;
+            } else if (previous && !previous.attrs.iconAfter) {
+                previous.attrs.iconAfter = icon;
+            }
+            return;
+        }
+
+        if (!textContent.includes(c)) return;
+
         const linkMark = c.marks.find((m) => m.type === "link");
-        return {
+        links.push({
             type: "link",
             attrs: {
                 ...linkMark?.attrs,  // Preserve all link attributes (role, target, etc.)
+                href: sanitizeHref(linkMark?.attrs?.href, options),
                 label: c.text || "",
+                iconBefore: iconsLead ? pendingIcon : null,
+                iconAfter: null,
             },
-        };
+        });
+        pendingIcon = null;
     });
+
+    // A leading-icon row may end with an icon after the last link
+    if (iconsLead && pendingIcon) {
+        links[links.length - 1].attrs.iconAfter = pendingIcon;
+    }
+
+    return links;
 }
 
 // method to check if given item has multiple content parts and each of them has the same link attrs with different inline style (plain, em, strong, u)
 // if so, it will return the link attrs and all the content parts whose link mark has been removed
 // warning: This method will not work if the any of the content parts are not link marks
-function isStyledLink(item) {
+function isStyledLink(item, options = {}) {
     if (!["paragraph", "heading"].includes(item.type)) return false;
 
     let content = item?.content || [];
@@ -722,7 +1326,8 @@ function isStyledLink(item) {
     )
         return false;
 
-    const { href, target } = firstLinkMark.attrs;
+    const { target = "_self" } = firstLinkMark.attrs;
+    const href = sanitizeHref(firstLinkMark.attrs.href, options);
 
     const cleanedContent = content.map((c) => {
         // remove link marks from content items
@@ -734,16 +1339,25 @@ function isStyledLink(item) {
         };
     });
 
-    let textContent = getTextContent(cleanedContent);
+    let textContent = getTextContent(cleanedContent, options);
 
     if (!textContent) return false;
 
-    return {
-        type: "paragraph",
-        children: processInlineElements(item.content),
-        text: `<a target="${target}" href="${href}">${textContent}</a>`,
-        attrs: item.attrs,
-    };
+    return withRuns(
+        {
+            type: "paragraph",
+            children: processInlineElements(item.content, options),
+            // A blocked href leaves the styled text without the anchor
+            text: href
+                ? `<a target="${escapeAttribute(target)}" href="${escapeAttribute(
+                      href
+                  )}">${textContent}</a>`
+                : textContent,
+            attrs: item.attrs,
+        },
+        content,
+        options
+    );
 }
 
-export { processSequence };
+export { processSequence, createParseState, inlineMathTypes };
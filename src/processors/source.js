@@ -0,0 +1,85 @@
+/**
+ * Source mapping (sourceMap option)
+ *
+ * Records where parsed content came from, as paths into the raw document
+ * such as "content[2].content[0]". Paths can be resolved with getByPath on
+ * `parsed.raw`.
+ */
+
+/**
+ * Collect the path of every node in a document
+ * @param {Object} doc ProseMirror document
+ * @returns {WeakMap<Object, string>} Path of each node
+ */
+function collectSourcePaths(doc) {
+    const paths = new WeakMap();
+
+    const walk = (node, path) => {
+        if (!Array.isArray(node?.content)) return;
+
+        node.content.forEach((child, index) => {
+            if (!child || typeof child !== "object") return;
+
+            const childPath = `${path ? `${path}.` : ""}content[${index}]`;
+            paths.set(child, childPath);
+            walk(child, childPath);
+        });
+    };
+
+    walk(doc, "");
+
+    return paths;
+}
+
+/**
+ * Take a snapshot of a group body for recordSourceChanges
+ * @param {Object} body Group body
+ * @returns {Object} Array lengths, data keys and data values
+ */
+function snapshotBody(body) {
+    const lengths = {};
+    Object.entries(body).forEach(([field, value]) => {
+        if (Array.isArray(value)) lengths[field] = value.length;
+    });
+
+    const data = {};
+    Object.entries(body.data || {}).forEach(([key, value]) => {
+        data[key] = Array.isArray(value) ? value.length : null;
+    });
+
+    return { lengths, data, values: { ...body.data } };
+}
+
+/**
+ * Map everything an element added to a body to the element's source
+ * @param {Object} body Group body (with sourceMap)
+ * @param {Object} snapshot Snapshot taken before the element was processed
+ * @param {string} source Source path of the element
+ */
+function recordSourceChanges(body, snapshot, source) {
+    if (!source) return;
+
+    Object.entries(body).forEach(([field, value]) => {
+        if (!Array.isArray(value)) return;
+
+        for (let i = snapshot.lengths[field] || 0; i < value.length; i++) {
+            body.sourceMap[`${field}[${i}]`] = source;
+        }
+    });
+
+    Object.entries(body.data || {}).forEach(([key, value]) => {
+        const before = snapshot.data[key];
+
+        if (!(key in snapshot.data)) {
+            body.sourceMap[`data.${key}`] = source;
+        }
+
+        if (Array.isArray(value)) {
+            for (let i = before || 0; i < value.length; i++) {
+                body.sourceMap[`data.${key}[${i}]`] = source;
+            }
+        }
+    });
+}
+
+export { collectSourcePaths, snapshotBody, recordSourceChanges };
@@ -0,0 +1,41 @@
+import { isPreTitle } from "./groups.js";
+import { stripHtml } from "../utils/html.js";
+
+/**
+ * Build a table of contents from the headings of a sequence
+ *
+ * Entries nest by heading level: a heading becomes a child of the closest
+ * preceding heading with a lower level. Pretitles (a heading directly
+ * followed by a more important one) are not sections and are skipped.
+ *
+ * @param {Array} sequence Flat sequence of elements (main and items)
+ * @param {Object} options Parsing options (pretitle rules)
+ * @returns {Array} Tree of { id, text, level, children }
+ */
+function buildToc(sequence, options = {}) {
+    const toc = [];
+    const stack = [];
+
+    sequence.forEach((element, index) => {
+        if (element.type !== "heading" || isPreTitle(sequence, index, options)) return;
+
+        const entry = {
+            id: element.id,
+            text: stripHtml(element.text),
+            level: element.level,
+            children: [],
+        };
+
+        while (stack.length && stack[stack.length - 1].level >= entry.level) {
+            stack.pop();
+        }
+
+        const parent = stack[stack.length - 1];
+        (parent ? parent.children : toc).push(entry);
+        stack.push(entry);
+    });
+
+    return toc;
+}
+
+export { buildToc };
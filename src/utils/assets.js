@@ -0,0 +1,121 @@
+/**
+ * Asset resolution
+ *
+ * Images, videos, cards and documents can reference assets by identifier
+ * instead of URL. The host application resolves identifiers through the
+ * `resolveAsset` parsing option.
+ */
+
+/**
+ * Normalize what a resolver returned
+ * @param {string|Object|null} result URL string or { src, href, ... }
+ * @returns {Object|null} Asset info with src and href
+ */
+function normalizeAsset(result) {
+    if (!result) return null;
+
+    if (typeof result === "string") {
+        return { src: result, href: result };
+    }
+
+    return {
+        ...result,
+        src: result.src || result.url || result.href || "",
+        href: result.href || result.src || result.url || "",
+    };
+}
+
+/**
+ * Resolve an asset identifier
+ *
+ * Without a resolveAsset option, the legacy global uniweb.Profile lookup is
+ * used when it exists (browser builds of the platform); otherwise the asset
+ * is unresolved.
+ *
+ * @param {Object} info Asset info with an identifier
+ * @param {Object} options Parsing options
+ * @param {Function} options.resolveAsset (info) => url | { src, href } | null
+ * @returns {Object|null} Resolved asset with src and href
+ */
+function resolveAsset(info, options = {}) {
+    if (!info?.identifier) return null;
+
+    if (typeof options.resolveAsset === "function") {
+        return normalizeAsset(options.resolveAsset(info));
+    }
+
+    if (typeof globalThis.uniweb?.Profile === "function") {
+        return normalizeAsset(
+            new globalThis.uniweb.Profile(
+                "docufolio/profile",
+                "_template"
+            ).getAssetInfo(info.identifier)
+        );
+    }
+
+    return null;
+}
+
+/**
+ * Get the key of an asset reference
+ * The same identifier can be referenced with different details (source,
+ * size, ...) that resolve to different assets, so the whole info is the key.
+ * @param {Object} info Asset info with an identifier
+ * @returns {string} Key of the reference
+ */
+function getAssetKey(info) {
+    return JSON.stringify(info);
+}
+
+/**
+ * Collect all asset infos referenced by identifier in a document
+ * Any object inside node attributes with an identifier is an asset reference.
+ * @param {Object} doc ProseMirror document
+ * @returns {Map<string, Object>} Asset infos keyed by getAssetKey
+ */
+function collectAssets(doc) {
+    const assets = new Map();
+
+    const visitAttrs = (value) => {
+        if (Array.isArray(value)) {
+            value.forEach(visitAttrs);
+        } else if (value && typeof value === "object") {
+            if (typeof value.identifier === "string" && value.identifier) {
+                const key = getAssetKey(value);
+                if (!assets.has(key)) assets.set(key, value);
+            }
+            Object.values(value).forEach(visitAttrs);
+        }
+    };
+
+    const walk = (node) => {
+        if (!node || typeof node !== "object") return;
+        if (node.attrs) visitAttrs(node.attrs);
+        if (Array.isArray(node.content)) node.content.forEach(walk);
+    };
+
+    walk(doc);
+
+    return assets;
+}
+
+/**
+ * Resolve all assets of a document with an async resolver
+ * @param {Object} doc ProseMirror document
+ * @param {Function} resolver async (info) => url | { src, href } | null
+ * @returns {Promise<Function>} Sync resolver backed by the resolved results
+ */
+async function preloadAssets(doc, resolver) {
+    const assets = collectAssets(doc);
+    const resolved = new Map();
+
+    await Promise.all(
+        [...assets].map(async ([key, info]) => {
+            resolved.set(key, await resolver(info));
+        })
+    );
+
+    return (info) => resolved.get(getAssetKey(info)) ?? null;
+}
+
+export { resolveAsset, collectAssets, preloadAssets };
@@ -0,0 +1,246 @@
+/**
+ * Structured data formats for tagged code blocks
+ *
+ * Parsers for the formats authors paste into tagged code blocks: TOML,
+ * JSON5, CSV/TSV and INI/properties. TOML, JSON5 and INI use established
+ * parsers; CSV/TSV (RFC 4180) and properties (java.util.Properties) are
+ * small enough to read here. Each parser throws on invalid input so callers
+ * can fall back to the raw text.
+ */
+
+import { parse as parseTomlDocument, TomlDate } from "smol-toml";
+import JSON5 from "json5";
+import { parse as parseIniDocument } from "ini";
+
+/**
+ * Convert a numeric-looking cell or value to a number
+ * Values with leading zeros (zip codes, ids) stay strings.
+ * @param {string} value Raw value
+ * @returns {number|string} Number, or the value unchanged
+ */
+function toNumber(value) {
+    return /^-?(0|[1-9]\d*)(\.\d+)?([eE][+-]?\d+)?$/.test(value)
+        ? Number(value)
+        : value;
+}
+
+/**
+ * Check if a key would reach Object.prototype (or the Object constructor)
+ * when assigned, instead of adding an own property
+ * @param {string} key Parsed key
+ * @returns {boolean}
+ */
+function isUnsafeKey(key) {
+    return key === "__proto__" || key === "constructor" || key === "prototype";
+}
+
+/**
+ * Return a key, or throw for keys that are not safe to assign
+ * @param {string} key Parsed key
+ * @returns {string} The key
+ */
+function safeKey(key) {
+    if (isUnsafeKey(key)) throw new Error(`Unsafe key '${key}'`);
+    return key;
+}
+
+/**
+ * Copy parsed data into plain objects and arrays
+ * Parsers return null-prototype objects and TOML dates; content data is
+ * plain JSON-like values. Keys that would reach Object.prototype when the
+ * data is copied or merged are rejected.
+ * @param {*} value Parsed value
+ * @param {Function} convert Optional conversion of scalar values
+ * @returns {*} Plain value
+ */
+function toPlainData(value, convert = (item) => item) {
+    if (value instanceof TomlDate) return value.toISOString();
+    if (Array.isArray(value)) return value.map((item) => toPlainData(item, convert));
+    if (!value || typeof value !== "object") return convert(value);
+
+    return Object.fromEntries(
+        Object.entries(value).map(([key, item]) => [
+            safeKey(key),
+            toPlainData(item, convert),
+        ])
+    );
+}
+
+// ---------------------------------------------------------------------------
+// CSV / TSV
+
+/**
+ * Split delimited text into rows of cells (RFC 4180 quoting)
+ * @param {string} text Delimited text
+ * @param {string} delimiter Cell delimiter
+ * @returns {Array<Array<string>>} Rows
+ */
+function readRows(text, delimiter) {
+    const rows = [];
+    let row = [];
+    let cell = "";
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"' && cell === "") {
+            quoted = true;
+        } else if (char === delimiter) {
+            row.push(cell);
+            cell = "";
+        } else if (char === "\n" || char === "\r") {
+            if (char === "\r" && text[i + 1] === "\n") i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = "";
+        } else {
+            cell += char;
+        }
+    }
+
+    if (quoted) throw new Error("Unterminated quoted cell");
+
+    if (cell !== "" || row.length) {
+        row.push(cell);
+        rows.push(row);
+    }
+
+    // Blank lines are not rows
+    return rows.filter((cells) => cells.some((value) => value.trim() !== ""));
+}
+
+/**
+ * Guess whether the first row is a header: its cells are all distinct,
+ * non-empty and non-numeric labels
+ * @param {Array<string>} cells Cells of the first row
+ * @returns {boolean} True if the row looks like a header
+ */
+function isHeaderRow(cells) {
+    const labels = cells.map((value) => value.trim());
+
+    return (
+        labels.every((value) => value !== "" && typeof toNumber(value) !== "number") &&
+        new Set(labels).size === labels.length
+    );
+}
+
+/**
+ * Parse CSV or TSV text
+ * @param {string} text Delimited text
+ * @param {Object} options Parsing options
+ * @param {string} options.delimiter Cell delimiter. Default: ","
+ * @param {boolean} options.header Whether the first row is a header.
+ *   Default: detected
+ * @returns {Array} Row objects keyed by header (with a header row),
+ *   otherwise arrays of cells
+ */
+function parseDelimited(text, options = {}) {
+    const { delimiter = "," } = options;
+    const cells = readRows(text, delimiter);
+
+    if (!cells.length) return [];
+
+    const rows = cells.map((row) => row.map((value) => toNumber(value.trim())));
+    const header = options.header ?? isHeaderRow(cells[0]);
+    if (!header) return rows;
+
+    const [keys, ...records] = rows;
+    return records.map((row) =>
+        Object.fromEntries(keys.map((key, index) => [key, row[index] ?? ""]))
+    );
+}
+
+// ---------------------------------------------------------------------------
+// INI / properties
+
+/**
+ * Parse INI text
+ * Keys before the first [section] are top-level, and dotted section names
+ * nest. Values are strings, except true/false and plain numbers.
+ * @param {string} text INI text
+ * @returns {Object} Sections with their keys
+ */
+function parseIni(text) {
+    return toPlainData(parseIniDocument(text), (value) =>
+        typeof value === "string" ? toNumber(value) : value
+    );
+}
+
+const propertyEscapes = { t: "\t", n: "\n", r: "\r", f: "\f" };
+
+/**
+ * Parse Java-style .properties text
+ * Supports "=", ":" and whitespace separators, ! and # comments, line
+ * continuations and \uXXXX escapes. Values are strings.
+ * @param {string} text Properties text
+ * @returns {Object} Flat key/value object
+ */
+function parseProperties(text) {
+    const result = {};
+    const lines = text.split(/\r?\n/);
+
+    for (let i = 0; i < lines.length; i++) {
+        let line = lines[i].replace(/^\s+/, "");
+        if (!line || line.startsWith("#") || line.startsWith("!")) continue;
+
+        // An odd number of trailing backslashes continues the line
+        while (/(^|[^\\])(\\\\)*\\$/.test(line) && i + 1 < lines.length) {
+            line = line.slice(0, -1) + lines[++i].replace(/^\s+/, "");
+        }
+
+        const match = line.match(/^((?:\\.|[^\\:=\s])*)\s*[:=\s]?\s*(.*)$/);
+        const unescape = (value) =>
+            value.replace(/\\(u[0-9a-fA-F]{4}|.)/g, (_, code) =>
+                code.length > 1
+                    ? String.fromCharCode(parseInt(code.slice(1), 16))
+                    : propertyEscapes[code] ?? code
+            );
+
+        result[safeKey(unescape(match[1]))] = unescape(match[2]);
+    }
+
+    return result;
+}
+
+// ---------------------------------------------------------------------------
+// JSON5 / TOML
+
+/**
+ * Parse JSON5 text
+ * JSON plus comments, unquoted keys, single quotes, trailing commas,
+ * hexadecimal numbers, Infinity/NaN and multi-line strings.
+ * @param {string} text JSON5 text
+ * @returns {*} Parsed value
+ */
+function parseJson5(text) {
+    return toPlainData(JSON5.parse(text));
+}
+
+/**
+ * Parse TOML text (TOML 1.0)
+ * Dates and times stay strings in their TOML form.
+ * @param {string} text TOML text
+ * @returns {Object} Parsed tables
+ */
+function parseToml(text) {
+    return toPlainData(parseTomlDocument(text));
+}
+
+export {
+    parseToml,
+    parseJson5,
+    parseDelimited,
+    parseIni,
+    parseProperties,
+};
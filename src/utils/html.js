@@ -0,0 +1,320 @@
+/**
+ * HTML helpers shared by the rich text generator
+ *
+ * Everything here is plain string processing, so it behaves the same in
+ * browsers, Node, workers and edge runtimes (no DOM required).
+ */
+
+import { NAMED_ENTITIES, LEGACY_ENTITIES } from "./entities.js";
+
+/**
+ * URL schemes accepted in generated links by default.
+ * Relative URLs, fragments and protocol-relative URLs are always accepted.
+ */
+const DEFAULT_ALLOWED_PROTOCOLS = ["http", "https", "mailto", "tel", "sms", "ftp"];
+
+/**
+ * Escape text for use as HTML element content
+ * @param {string} text Raw text
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+    return String(text ?? "")
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;");
+}
+
+/**
+ * Escape a value for use inside a double-quoted HTML attribute
+ * @param {*} value Raw attribute value
+ * @returns {string} Escaped value
+ */
+function escapeAttribute(value) {
+    return escapeHtml(value).replace(/"/g, "&quot;").replace(/'/g, "&#39;");
+}
+
+/**
+ * Check whether a string can be used as an HTML attribute name
+ * @param {string} name Attribute name
+ * @returns {boolean} True if the name is safe to emit
+ */
+function isValidAttributeName(name) {
+    return /^[a-zA-Z_:][-a-zA-Z0-9_:.]*$/.test(name) && !/^on/i.test(name);
+}
+
+/**
+ * Apply the href protocol policy
+ *
+ * Browsers ignore whitespace and control characters inside a scheme, so they
+ * are removed before the scheme is compared against the allow-list.
+ *
+ * @param {string} href Link target
+ * @param {Object} options Parsing options
+ * @param {Array<string>} options.allowedProtocols Accepted URL schemes
+ * @returns {string} The href, or an empty string if its protocol is not allowed
+ */
+function sanitizeHref(href, options = {}) {
+    if (typeof href !== "string") return "";
+
+    const trimmed = href.trim();
+    const normalized = trimmed.replace(/[\u0000- \u007f]/g, "");
+    const scheme = normalized.match(/^([a-zA-Z][a-zA-Z0-9+.-]*):/)?.[1];
+
+    if (!scheme) return trimmed;
+
+    const allowed = options.allowedProtocols || DEFAULT_ALLOWED_PROTOCOLS;
+    return allowed.includes(scheme.toLowerCase()) ? trimmed : "";
+}
+
+/**
+ * Code points 0x80-0x9F of numeric references are read as Windows-1252,
+ * like browsers do
+ */
+const WINDOWS_1252 = {
+    0x80: 0x20ac, 0x82: 0x201a, 0x83: 0x0192, 0x84: 0x201e, 0x85: 0x2026,
+    0x86: 0x2020, 0x87: 0x2021, 0x88: 0x02c6, 0x89: 0x2030, 0x8a: 0x0160,
+    0x8b: 0x2039, 0x8c: 0x0152, 0x8e: 0x017d, 0x91: 0x2018, 0x92: 0x2019,
+    0x93: 0x201c, 0x94: 0x201d, 0x95: 0x2022, 0x96: 0x2013, 0x97: 0x2014,
+    0x98: 0x02dc, 0x99: 0x2122, 0x9a: 0x0161, 0x9b: 0x203a, 0x9c: 0x0153,
+    0x9e: 0x017e, 0x9f: 0x0178,
+};
+
+function decodeCodePoint(codePoint) {
+    if (
+        codePoint === 0 ||
+        codePoint > 0x10ffff ||
+        (codePoint >= 0xd800 && codePoint <= 0xdfff)
+    ) {
+        return "\uFFFD";
+    }
+
+    return String.fromCodePoint(WINDOWS_1252[codePoint] || codePoint);
+}
+
+function decodeNamed(name, hasSemicolon) {
+    if (hasSemicolon && Object.hasOwn(NAMED_ENTITIES, name)) {
+        return NAMED_ENTITIES[name];
+    }
+
+    // Legacy references may omit the semicolon: "&copy2024" is "©2024"
+    for (let length = name.length; length > 1; length--) {
+        const prefix = name.slice(0, length);
+        if (LEGACY_ENTITIES.has(prefix)) {
+            return (
+                NAMED_ENTITIES[prefix] +
+                name.slice(length) +
+                (hasSemicolon ? ";" : "")
+            );
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Decode HTML character references (named, decimal and hexadecimal)
+ * Unknown references are left as they are.
+ * @param {string} text Text with character references
+ * @returns {string} Decoded text
+ */
+function decodeEntities(text) {
+    if (typeof text !== "string" || !text.includes("&")) {
+        return typeof text === "string" ? text : "";
+    }
+
+    return text.replace(
+        /&(?:#(\d+)|#[xX]([0-9a-fA-F]+)|([a-zA-Z][a-zA-Z0-9]*))(;?)/g,
+        (match, decimal, hex, name, semicolon) => {
+            if (decimal) return decodeCodePoint(parseInt(decimal, 10));
+            if (hex) return decodeCodePoint(parseInt(hex, 16));
+
+            return decodeNamed(name, semicolon === ";") ?? match;
+        }
+    );
+}
+
+/**
+ * Remove HTML tags and comments, then decode character references
+ * @param {string} html HTML string
+ * @returns {string} Plain text
+ */
+function stripHtml(html) {
+    if (!html || typeof html !== "string") return "";
+
+    return decodeEntities(
+        html.replace(/<!--[\s\S]*?-->/g, "").replace(/<[^>]*>/g, "")
+    );
+}
+
+/**
+ * Parse the attributes of an HTML start tag
+ * @param {string} source Attribute part of the tag
+ * @returns {Object} Decoded attribute values by name
+ */
+function parseAttributes(source) {
+    const attrs = {};
+    const pattern = /([^\s=\/]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+
+    for (const [, name, double, single, bare] of source.matchAll(pattern)) {
+        attrs[name.toLowerCase()] = decodeEntities(double ?? single ?? bare ?? "");
+    }
+
+    return attrs;
+}
+
+// Tags produced by the default mark renderers
+const MARK_TAGS = {
+    strong: "bold",
+    b: "bold",
+    em: "italic",
+    i: "italic",
+    u: "underline",
+    s: "strike",
+    del: "strike",
+    strike: "strike",
+    code: "code",
+    sub: "subscript",
+    sup: "superscript",
+    mark: "highlight",
+};
+
+/**
+ * Get the mark a tag stands for
+ * @param {string} tag Lowercase tag name
+ * @param {Object} attrs Tag attributes
+ * @returns {Object|null} ProseMirror mark, or null for tags without a mark
+ */
+function tagToMark(tag, attrs) {
+    if (MARK_TAGS[tag]) return { type: MARK_TAGS[tag] };
+
+    if (tag === "a") {
+        const linkAttrs = { href: attrs.href || "" };
+        if (attrs.target && attrs.target !== "_self") linkAttrs.target = attrs.target;
+        return { type: "link", attrs: linkAttrs };
+    }
+
+    if (tag === "span") {
+        const color = attrs.style?.match(/(?:^|;)\s*color:\s*var\(--([^)]+)\)/)?.[1];
+        if (color) return { type: "textStyle", attrs: { color } };
+        if (/background-color:\s*var\(--highlight\)/.test(attrs.style || "")) {
+            return { type: "highlight" };
+        }
+
+        const { style, ...spanAttrs } = attrs;
+        return Object.keys(spanAttrs).length ? { type: "span", attrs: spanAttrs } : null;
+    }
+
+    return null;
+}
+
+/**
+ * Get the inline node that generated markup stands for
+ * Inline math and footnote references are rendered as a span and a sup
+ * whose content is generated, so the whole element maps back to one node.
+ * @param {string} tag Lowercase tag name
+ * @param {Object} attrs Tag attributes
+ * @param {string} inner Markup up to the end of the input
+ * @returns {Object|null} Inline node, or null for other tags
+ */
+function tagToNode(tag, attrs, inner) {
+    const classes = (attrs.class || "").split(/\s+/);
+
+    if (tag === "span" && classes.includes("math-inline") && "data-latex" in attrs) {
+        return { type: "math-inline", attrs: { latex: attrs["data-latex"] } };
+    }
+
+    if (tag === "sup" && classes.includes("footnote-ref")) {
+        const number = inner.match(/^\s*<a\b[^>]*\bhref="#fn-(\d+)"/)?.[1];
+        if (number) return { type: "footnoteReference", attrs: { number: Number(number) } };
+    }
+
+    return null;
+}
+
+/**
+ * Parse inline HTML (as produced by the rich text generator) into
+ * ProseMirror inline nodes
+ *
+ * Formatting tags become marks and <br> becomes a hardBreak. Inline math
+ * markup becomes a math-inline node, and footnote reference markup a
+ * footnoteReference node with the rendered number ({ number }). Unknown
+ * tags are dropped but their text is kept.
+ *
+ * @param {string} html Inline HTML
+ * @returns {Array} Text, hardBreak, math-inline and footnoteReference nodes
+ */
+function parseInlineHtml(html) {
+    const nodes = [];
+    const stack = [];
+    const source = String(html ?? "");
+    const pattern = /<(\/?)([a-zA-Z][a-zA-Z0-9]*)([^>]*)>|<!--[\s\S]*?-->|([^<]+|<)/g;
+
+    // Element whose content is skipped (generated content of a node)
+    let skip = null;
+
+    for (const match of source.matchAll(pattern)) {
+        const [, closing, name, attrSource, text] = match;
+
+        if (skip) {
+            const tag = name?.toLowerCase();
+            if (tag === skip.tag && !closing) skip.depth++;
+            if (tag === skip.tag && closing && --skip.depth === 0) skip = null;
+            continue;
+        }
+
+        if (text !== undefined) {
+            const marks = stack.map((entry) => entry.mark).filter(Boolean);
+            const previous = nodes[nodes.length - 1];
+            const value = decodeEntities(text);
+
+            if (
+                previous?.type === "text" &&
+                JSON.stringify(previous.marks || []) === JSON.stringify(marks)
+            ) {
+                previous.text += value;
+            } else {
+                nodes.push(
+                    marks.length
+                        ? { type: "text", text: value, marks }
+                        : { type: "text", text: value }
+                );
+            }
+            continue;
+        }
+
+        if (!name) continue; // Comment
+
+        const tag = name.toLowerCase();
+
+        if (tag === "br") {
+            nodes.push({ type: "hardBreak" });
+        } else if (closing) {
+            const index = stack.map((entry) => entry.tag).lastIndexOf(tag);
+            if (index !== -1) stack.splice(index);
+        } else if (!attrSource.trim().endsWith("/")) {
+            const attrs = parseAttributes(attrSource);
+            const node = tagToNode(tag, attrs, source.slice(match.index + match[0].length));
+
+            if (node) {
+                nodes.push(node);
+                skip = { tag, depth: 1 };
+            } else {
+                stack.push({ tag, mark: tagToMark(tag, attrs) });
+            }
+        }
+    }
+
+    return nodes;
+}
+
+export {
+    DEFAULT_ALLOWED_PROTOCOLS,
+    escapeHtml,
+    escapeAttribute,
+    isValidAttributeName,
+    sanitizeHref,
+    decodeEntities,
+    stripHtml,
+    parseInlineHtml,
+};
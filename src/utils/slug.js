@@ -0,0 +1,69 @@
+/**
+ * Heading slugs
+ *
+ * Slugs are derived from the heading text only, so the same document always
+ * produces the same ids.
+ */
+
+/**
+ * Turn text into a URL fragment friendly slug
+ * Letters and digits of any script are kept; accents are removed.
+ * @param {string} text Plain text
+ * @returns {string} Slug ("section" when the text has no letters or digits)
+ */
+function slugify(text) {
+    const slug = String(text ?? "")
+        .normalize("NFKD")
+        .replace(/\p{M}/gu, "")
+        .toLowerCase()
+        .replace(/[^\p{L}\p{N}]+/gu, "-")
+        .replace(/^-+|-+$/g, "");
+
+    return slug || "section";
+}
+
+/**
+ * Create a slug generator that never returns the same id twice
+ *
+ * Reserved ids (explicit heading ids) are never generated, so "intro",
+ * "intro-1", "intro-2" are handed out around them.
+ *
+ * @param {Iterable<string>} reserved Ids already used in the document
+ * @returns {Function} (text) => unique slug
+ */
+function createSlugger(reserved = []) {
+    const used = new Set(reserved);
+
+    return (text) => {
+        const base = slugify(text);
+        let slug = base;
+
+        for (let n = 1; used.has(slug); n++) {
+            slug = `${base}-${n}`;
+        }
+
+        used.add(slug);
+        return slug;
+    };
+}
+
+/**
+ * Collect explicit heading ids of a document
+ * @param {Object} doc ProseMirror document
+ * @returns {Set<string>} Ids set through heading attrs
+ */
+function collectHeadingIds(doc) {
+    const ids = new Set();
+
+    const walk = (node) => {
+        if (!node || typeof node !== "object") return;
+        if (node.type === "heading" && node.attrs?.id) ids.add(String(node.attrs.id));
+        if (Array.isArray(node.content)) node.content.forEach(walk);
+    };
+
+    walk(doc);
+
+    return ids;
+}
+
+export { slugify, createSlugger, collectHeadingIds };
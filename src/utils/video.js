@@ -0,0 +1,136 @@
+/**
+ * Video provider detection
+ *
+ * Works by URL parsing only (no network requests), so embed and thumbnail
+ * URLs are derived from the video id using each provider's URL scheme.
+ */
+
+/**
+ * Parse a time value into seconds
+ * Accepts plain seconds ("90", "90s") and h/m/s notation ("1m30s", "1h2m3s").
+ * @param {string} value Time value
+ * @returns {number|null} Seconds, or null if not a valid time
+ */
+function parseTime(value) {
+    if (value === null || value === undefined || value === "") return null;
+
+    const text = String(value).trim();
+    if (!text) return null;
+
+    if (/^\d+(\.\d+)?s?$/.test(text)) return Math.floor(parseFloat(text));
+
+    const match = text.match(/^(?:(\d+)h)?(?:(\d+)m)?(?:(\d+)s)?$/);
+    if (!match) return null;
+
+    const [, h = 0, m = 0, s = 0] = match;
+    return Number(h) * 3600 + Number(m) * 60 + Number(s);
+}
+
+function youtube(url) {
+    const host = url.hostname.replace(/^(www\.|m\.)/, "");
+    let videoId = null;
+
+    if (host === "youtu.be") {
+        videoId = url.pathname.split("/")[1];
+    } else if (host === "youtube.com" || host === "youtube-nocookie.com") {
+        if (url.pathname === "/watch") {
+            videoId = url.searchParams.get("v");
+        } else {
+            videoId = url.pathname.match(/^\/(?:embed|shorts|live|v)\/([^/?#]+)/)?.[1];
+        }
+    }
+
+    if (!videoId || !/^[\w-]{6,}$/.test(videoId)) return null;
+
+    const startTime = parseTime(
+        url.searchParams.get("t") ?? url.searchParams.get("start")
+    );
+
+    return {
+        provider: "youtube",
+        videoId,
+        embedUrl: `https://www.youtube.com/embed/${videoId}${
+            startTime ? `?start=${startTime}` : ""
+        }`,
+        thumbnailUrl: `https://img.youtube.com/vi/${videoId}/hqdefault.jpg`,
+        startTime,
+    };
+}
+
+function vimeo(url) {
+    const host = url.hostname.replace(/^www\./, "");
+    if (host !== "vimeo.com" && host !== "player.vimeo.com") return null;
+
+    // vimeo.com/123, vimeo.com/channels/name/123, player.vimeo.com/video/123
+    const videoId = url.pathname.match(/\/(\d+)(?:\/|$)/)?.[1];
+    if (!videoId) return null;
+
+    const hashTime = url.hash.match(/t=([\dhms.]+)/)?.[1];
+    const startTime = parseTime(hashTime ?? url.searchParams.get("t"));
+
+    return {
+        provider: "vimeo",
+        videoId,
+        embedUrl: `https://player.vimeo.com/video/${videoId}${
+            startTime ? `#t=${startTime}s` : ""
+        }`,
+        // Vimeo thumbnails require an API call
+        thumbnailUrl: null,
+        startTime,
+    };
+}
+
+function wistia(url) {
+    const host = url.hostname;
+    if (!/(^|\.)(wistia\.com|wistia\.net|wi\.st)$/.test(host)) return null;
+
+    // *.wistia.com/medias/ID, fast.wistia.net/embed/iframe/ID
+    const videoId = url.pathname.match(
+        /\/(?:medias|embed\/iframe|embed\/medias)\/([a-z0-9]+)/i
+    )?.[1];
+    if (!videoId) return null;
+
+    const startTime = parseTime(
+        url.searchParams.get("wtime") ?? url.searchParams.get("time")
+    );
+
+    return {
+        provider: "wistia",
+        videoId,
+        embedUrl: `https://fast.wistia.net/embed/iframe/${videoId}${
+            startTime ? `?time=${startTime}` : ""
+        }`,
+        thumbnailUrl: `https://fast.wistia.com/embed/medias/${videoId}/swatch`,
+        startTime,
+    };
+}
+
+const providers = [youtube, vimeo, wistia];
+
+/**
+ * Detect the video platform of a URL
+ * @param {string} src Video URL
+ * @returns {Object|null} { provider, videoId, embedUrl, thumbnailUrl, startTime }
+ *   or null for URLs of unknown platforms
+ */
+function detectVideoProvider(src) {
+    if (typeof src !== "string" || !src.trim()) return null;
+
+    let url;
+    try {
+        url = new URL(src.trim());
+    } catch {
+        return null;
+    }
+
+    if (url.protocol !== "http:" && url.protocol !== "https:") return null;
+
+    for (const provider of providers) {
+        const result = provider(url);
+        if (result) return result;
+    }
+
+    return null;
+}
+
+export { detectVideoProvider, parseTime };
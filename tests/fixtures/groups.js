@@ -396,3 +396,298 @@ export const mixedCodeBlocks = {
         },
     ],
 };
+
+export const tableContent = {
+    type: "doc",
+    content: [
+        {
+            type: "heading",
+            attrs: { level: 1 },
+            content: [{ type: "text", text: "Compare Plans" }],
+        },
+        {
+            type: "table",
+            content: [
+                {
+                    type: "tableRow",
+                    content: [
+                        {
+                            type: "tableHeader",
+                            attrs: { colspan: 1, rowspan: 1 },
+                            content: [
+                                {
+                                    type: "paragraph",
+                                    content: [{ type: "text", text: "Feature" }],
+                                },
+                            ],
+                        },
+                        {
+                            type: "tableHeader",
+                            attrs: { colspan: 2, rowspan: 1, align: "center" },
+                            content: [
+                                {
+                                    type: "paragraph",
+                                    content: [{ type: "text", text: "Plans" }],
+                                },
+                            ],
+                        },
+                    ],
+                },
+                {
+                    type: "tableRow",
+                    content: [
+                        {
+                            type: "tableCell",
+                            attrs: { colspan: 1, rowspan: 2 },
+                            content: [
+                                {
+                                    type: "paragraph",
+                                    content: [
+                                        {
+                                            type: "text",
+                                            text: "Storage",
+                                            marks: [{ type: "bold" }],
+                                        },
+                                    ],
+                                },
+                                {
+                                    type: "paragraph",
+                                    content: [{ type: "text", text: "per user" }],
+                                },
+                            ],
+                        },
+                        {
+                            type: "tableCell",
+                            content: [
+                                {
+                                    type: "paragraph",
+                                    content: [{ type: "text", text: "10 GB" }],
+                                },
+                            ],
+                        },
+                        {
+                            type: "tableCell",
+                            attrs: { align: "right" },
+                            content: [
+                                {
+                                    type: "paragraph",
+                                    content: [{ type: "text", text: "1 TB" }],
+                                },
+                            ],
+                        },
+                    ],
+                },
+            ],
+        },
+    ],
+};
+
+export const taskListContent = {
+    type: "doc",
+    content: [
+        {
+            type: "heading",
+            attrs: { level: 1 },
+            content: [{ type: "text", text: "Onboarding" }],
+        },
+        {
+            type: "taskList",
+            content: [
+                {
+                    type: "taskItem",
+                    attrs: { checked: true },
+                    content: [
+                        {
+                            type: "paragraph",
+                            content: [{ type: "text", text: "Create account" }],
+                        },
+                    ],
+                },
+                {
+                    type: "taskItem",
+                    attrs: { checked: false },
+                    content: [
+                        {
+                            type: "paragraph",
+                            content: [{ type: "text", text: "Invite team" }],
+                        },
+                    ],
+                },
+            ],
+        },
+    ],
+};
+
+export const mathContent = {
+    type: "doc",
+    content: [
+        {
+            type: "heading",
+            attrs: { level: 1 },
+            content: [{ type: "text", text: "Energy" }],
+        },
+        {
+            type: "paragraph",
+            content: [
+                { type: "text", text: "Where " },
+                { type: "math-inline", attrs: { latex: "c < v" } },
+                { type: "text", text: " holds:" },
+            ],
+        },
+        {
+            type: "math-display",
+            content: [{ type: "text", text: "E = mc^2" }],
+        },
+    ],
+};
+
+export const footnoteContent = {
+    type: "doc",
+    content: [
+        {
+            type: "heading",
+            attrs: { level: 1 },
+            content: [{ type: "text", text: "Essay" }],
+        },
+        {
+            type: "paragraph",
+            content: [
+                { type: "text", text: "First claim" },
+                { type: "footnoteReference", attrs: { label: "a" } },
+                { type: "text", text: " and second" },
+                { type: "footnoteReference", attrs: { label: "b" } },
+                { type: "text", text: "." },
+            ],
+        },
+        {
+            type: "heading",
+            attrs: { level: 2 },
+            content: [{ type: "text", text: "Details" }],
+        },
+        {
+            type: "paragraph",
+            content: [
+                { type: "text", text: "Back to the first" },
+                {
+                    type: "text",
+                    text: "*",
+                    marks: [{ type: "footnoteReference", attrs: { label: "a" } }],
+                },
+            ],
+        },
+        {
+            type: "footnotes",
+            content: [
+                {
+                    type: "footnoteDefinition",
+                    attrs: { label: "b" },
+                    content: [
+                        {
+                            type: "paragraph",
+                            content: [{ type: "text", text: "Second source." }],
+                        },
+                    ],
+                },
+                {
+                    type: "footnoteDefinition",
+                    attrs: { label: "a" },
+                    content: [
+                        {
+                            type: "paragraph",
+                            content: [
+                                {
+                                    type: "text",
+                                    text: "First source.",
+                                    marks: [{ type: "italic" }],
+                                },
+                            ],
+                        },
+                    ],
+                },
+                {
+                    type: "footnoteDefinition",
+                    attrs: { label: "unused" },
+                    content: [
+                        {
+                            type: "paragraph",
+                            content: [{ type: "text", text: "Never cited." }],
+                        },
+                    ],
+                },
+            ],
+        },
+    ],
+};
+
+export const detailsContent = {
+    type: "doc",
+    content: [
+        {
+            type: "heading",
+            attrs: { level: 1 },
+            content: [{ type: "text", text: "Questions" }],
+        },
+        {
+            type: "details",
+            attrs: { open: true },
+            content: [
+                {
+                    type: "detailsSummary",
+                    content: [{ type: "text", text: "How does it work?" }],
+                },
+                {
+                    type: "detailsContent",
+                    content: [
+                        {
+                            type: "paragraph",
+                            content: [{ type: "text", text: "It parses content." }],
+                        },
+                        {
+                            type: "details",
+                            content: [
+                                {
+                                    type: "detailsSummary",
+                                    content: [{ type: "text", text: "More?" }],
+                                },
+                                {
+                                    type: "detailsContent",
+                                    content: [
+                                        {
+                                            type: "paragraph",
+                                            content: [{ type: "text", text: "Nested." }],
+                                        },
+                                    ],
+                                },
+                            ],
+                        },
+                    ],
+                },
+            ],
+        },
+        {
+            type: "details",
+            content: [
+                {
+                    type: "detailsSummary",
+                    content: [{ type: "text", text: "Is it free?" }],
+                },
+                {
+                    type: "detailsContent",
+                    content: [
+                        {
+                            type: "paragraph",
+                            content: [
+                                { type: "text", text: "Yes, see " },
+                                {
+                                    type: "text",
+                                    text: "license",
+                                    marks: [{ type: "link", attrs: { href: "/license" } }],
+                                },
+                            ],
+                        },
+                    ],
+                },
+            ],
+        },
+    ],
+};
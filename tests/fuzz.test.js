@@ -0,0 +1,126 @@
+import { parseContent, ParseError } from "../src/index.js";
+import * as groupFixtures from "./fixtures/groups.js";
+import * as basicFixtures from "./fixtures/basic.js";
+
+// Deterministic PRNG (mulberry32) so failures can be reproduced by seed
+function createRandom(seed) {
+    return () => {
+        seed = (seed + 0x6d2b79f5) | 0;
+        let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+const nodeTypes = [
+    "heading", "paragraph", "blockquote", "dataBlock", "codeBlock",
+    "ImageBlock", "image", "Video", "youtube", "iframe", "bulletList",
+    "orderedList", "taskList", "listItem", "taskItem", "table", "tableRow",
+    "tableCell", "tableHeader", "details", "detailsSummary", "detailsContent",
+    "footnotes", "footnoteDefinition", "footnote", "math-display", "blockMath",
+    "DividerBlock", "horizontalRule", "card-group", "card", "document-group",
+    "document", "FormBlock", "button", "UniwebIcon", "Icon", "text",
+    "hardBreak", "math-inline", "inlineMath", "footnoteReference", "mystery",
+];
+const markTypes = [
+    "bold", "italic", "link", "span", "textStyle", "highlight", "code",
+    "footnote", "footnoteReference", "unknownMark",
+];
+const attrNames = [
+    "level", "href", "src", "url", "info", "caption", "tag", "language", "data",
+    "address", "label", "id", "checked", "colspan", "rowspan", "align", "latex",
+    "open", "role", "start", "coverImg", "icon", "svg", "alt", "referenceNumber",
+];
+const attrValues = [
+    undefined, null, "", "x", 0, 1, 3, -1, true, [], {}, NaN, "{bad",
+    '{"a":1}', "https://youtu.be/dQw4w9WgXcQ", "javascript:alert(1)",
+    { identifier: "a" }, [null],
+];
+
+function generateDocument(seed, { malformed }) {
+    const random = createRandom(seed);
+    const pick = (list) => list[Math.floor(random() * list.length)];
+
+    const attrs = () => {
+        if (malformed && random() < 0.05) return pick([null, "attrs", []]);
+        if (random() < 0.2) return undefined;
+        const result = {};
+        for (let i = Math.floor(random() * 5); i > 0; i--) {
+            result[pick(attrNames)] = pick(attrValues);
+        }
+        return result;
+    };
+
+    const node = (depth) => {
+        if (malformed && random() < 0.03) return pick([null, "text", 5, [], {}]);
+
+        const type = pick(nodeTypes);
+        const result = { type, attrs: attrs() };
+
+        if (type === "text") {
+            result.text = malformed && random() < 0.05 ? pick(attrValues) : "text";
+        }
+        if (random() < 0.4) {
+            result.marks =
+                malformed && random() < 0.1
+                    ? pick([null, "bold", [null]])
+                    : [{ type: pick(markTypes), attrs: attrs() }];
+        }
+        if (type !== "text" && depth < 4 && random() < 0.7) {
+            result.content =
+                malformed && random() < 0.05
+                    ? pick(attrValues)
+                    : Array.from({ length: Math.floor(random() * 4) }, () =>
+                          node(depth + 1)
+                      );
+        }
+
+        return result;
+    };
+
+    return {
+        type: "doc",
+        content: Array.from({ length: 1 + Math.floor(random() * 6) }, () => node(0)),
+    };
+}
+
+describe("fuzzing with random TipTap documents", () => {
+    const seeds = Array.from({ length: 150 }, (_, i) => i);
+
+    test.each([false, true])("tolerant mode never throws (malformed: %s)", (malformed) => {
+        seeds.forEach((seed) => {
+            const doc = generateDocument(seed, { malformed });
+
+            let result;
+            expect(() => {
+                result = parseContent(doc);
+            }).not.toThrow();
+
+            expect(Array.isArray(result.sequence)).toBe(true);
+            expect(Array.isArray(result.items)).toBe(true);
+            expect(Array.isArray(result.diagnostics)).toBe(true);
+        });
+    });
+
+    test.each([false, true])("strict mode only throws ParseError (malformed: %s)", (malformed) => {
+        seeds.forEach((seed) => {
+            const doc = generateDocument(seed, { malformed });
+
+            try {
+                parseContent(doc, { strict: true });
+            } catch (err) {
+                expect(err).toBeInstanceOf(ParseError);
+                expect(typeof err.code).toBe("string");
+            }
+        });
+    });
+
+    // Unknown node types (one fixture misspells "divider") are only warnings
+    test("fixtures parse in strict mode", () => {
+        Object.entries({ ...basicFixtures, ...groupFixtures })
+            .filter(([, doc]) => doc?.type === "doc")
+            .forEach(([, doc]) => {
+                expect(() => parseContent(doc, { strict: true })).not.toThrow();
+            });
+    });
+});
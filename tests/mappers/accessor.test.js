@@ -190,4 +190,257 @@ describe("Mapper Accessor", () => {
       expect(result).toEqual([]);
     });
   });
+
+  describe("getSourceLocation", () => {
+    const doc = {
+      type: "doc",
+      content: [
+        { type: "heading", attrs: { level: 1 }, content: [{ type: "text", text: "Title" }] },
+        { type: "paragraph", content: [{ type: "text", text: "Intro." }] },
+        { type: "heading", attrs: { level: 2 }, content: [{ type: "text", text: "Item" }] },
+        {
+          type: "paragraph",
+          content: [
+            { type: "text", text: "Read " },
+            { type: "text", text: "more", marks: [{ type: "link", attrs: { href: "/more" } }] },
+          ],
+        },
+        {
+          type: "bulletList",
+          content: [
+            { type: "listItem", content: [{ type: "paragraph", content: [{ type: "text", text: "One" }] }] },
+            { type: "listItem", content: [{ type: "paragraph", content: [{ type: "text", text: "Two" }] }] },
+          ],
+        },
+      ],
+    };
+
+    test("maps flat fields to raw document paths", () => {
+      const parsed = parseContent(doc, { sourceMap: true });
+
+      expect(accessor.getSourceLocation(parsed, "title")).toBe("content[0]");
+      expect(accessor.getSourceLocation(parsed, "paragraphs[0]")).toBe("content[1]");
+      expect(accessor.getSourceLocation(parsed, "items[0].title")).toBe("content[2]");
+      expect(accessor.getSourceLocation(parsed, "items[0].inlineLinks[0]")).toBe("content[3]");
+      expect(accessor.getSourceLocation(parsed, "items[0].lists[0]")).toBe("content[4]");
+      expect(accessor.getSourceLocation(parsed, "items[0].lists[0][1].paragraphs[0]")).toBe(
+        "content[4].content[1].content[0]"
+      );
+
+      const banner = parseContent(
+        { type: "doc", content: [{ type: "image", attrs: { src: "hero.jpg" } }, doc.content[0]] },
+        { sourceMap: true }
+      );
+      expect(accessor.getSourceLocation(banner, "banner")).toBe("content[0]");
+
+      const path = accessor.getSourceLocation(parsed, "items[0].paragraphs[0]");
+      expect(accessor.getByPath(parsed.raw, path).content[0].text).toBe("Read ");
+    });
+
+    test("maps sequence elements", () => {
+      const parsed = parseContent(doc, { sourceMap: true });
+
+      expect(parsed.sequence[4].source).toBe("content[4]");
+      expect(accessor.getSourceLocation(parsed, "sequence[4].children[0][0]")).toBe(
+        "content[4].content[0].content[0]"
+      );
+    });
+
+    test("returns null without the sourceMap option", () => {
+      const parsed = parseContent(doc);
+
+      expect(parsed.sourceMap).toBeUndefined();
+      expect(parsed.sequence[0].source).toBeUndefined();
+      expect(accessor.getSourceLocation(parsed, "title")).toBeNull();
+    });
+  });
+
+  describe("setByPath", () => {
+    const doc = {
+      type: "doc",
+      content: [
+        {
+          type: "heading",
+          attrs: { level: 1 },
+          content: [{ type: "text", text: "Welcome", marks: [{ type: "bold" }] }],
+        },
+        { type: "paragraph", content: [{ type: "text", text: "Intro." }] },
+        { type: "heading", attrs: { level: 2 }, content: [{ type: "text", text: "First" }] },
+        {
+          type: "paragraph",
+          content: [
+            { type: "text", text: "Read " },
+            { type: "text", text: "the docs", marks: [{ type: "link", attrs: { href: "/docs", target: "_blank" } }] },
+          ],
+        },
+        { type: "image", attrs: { src: "a.jpg", alt: "A" } },
+        { type: "heading", attrs: { level: 2 }, content: [{ type: "text", text: "Second" }] },
+        { type: "paragraph", content: [{ type: "text", text: "More." }] },
+      ],
+    };
+
+    test("writes a text field into its node", () => {
+      const parsed = parseContent(doc);
+      const updated = accessor.setByPath(parsed, "items[1].title", "New title");
+
+      expect(updated.content[5].content).toEqual([{ type: "text", text: "New title" }]);
+      expect(parseContent(updated).items[1].title).toBe("New title");
+      // Unrelated nodes are untouched
+      expect(updated.content[3]).toBe(doc.content[3]);
+      expect(doc.content[5].content[0].text).toBe("Second");
+    });
+
+    test("keeps block-wide marks for plain text and parses HTML formatting", () => {
+      const parsed = parseContent(doc);
+
+      const plain = accessor.setByPath(parsed, "title", "Hello");
+      expect(plain.content[0].content).toEqual([
+        { type: "text", text: "Hello", marks: [{ type: "bold" }] },
+      ]);
+
+      const rich = accessor.setByPath(parsed, "paragraphs[0]", "Now <em>in</em> &amp; out");
+      expect(rich.content[1].content).toEqual([
+        { type: "text", text: "Now " },
+        { type: "text", text: "in", marks: [{ type: "italic" }] },
+        { type: "text", text: " & out" },
+      ]);
+      expect(parseContent(rich).paragraphs[0]).toBe("Now <em>in</em> &amp; out");
+    });
+
+    test("keeps inline nodes of edited text", () => {
+      const icon = { type: "UniwebIcon", attrs: { svg: "<svg></svg>" } };
+      const math = { type: "inlineMath", attrs: { latex: "x^2" } };
+      const reference = { type: "footnoteReference", attrs: { label: "note" } };
+      const content = [
+        icon,
+        { type: "text", text: "Square " },
+        math,
+        { type: "text", text: " is big", marks: [{ type: "bold" }] },
+        reference,
+      ];
+      const inline = {
+        type: "doc",
+        content: [
+          { type: "paragraph", content },
+          {
+            type: "footnoteDefinition",
+            attrs: { label: "note" },
+            content: [{ type: "paragraph", content: [{ type: "text", text: "Note." }] }],
+          },
+        ],
+      };
+      const parsed = parseContent(inline);
+
+      const edited = parsed.paragraphs[0].replace("big", "large");
+      const updated = accessor.setByPath(parsed, "paragraphs[0]", edited);
+      expect(updated.content[0].content).toEqual([
+        icon,
+        { type: "text", text: "Square " },
+        math,
+        { type: "text", text: " is large", marks: [{ type: "bold" }] },
+        reference,
+      ]);
+      expect(updated.content[0].content[2]).toBe(math);
+      expect(updated.content[0].content[4]).toBe(reference);
+      expect(parseContent(updated).paragraphs[0]).toBe(edited);
+
+      // Changed math keeps its node type; icons keep their text position
+      const changed = accessor.setByPath(
+        parsed,
+        "paragraphs[0]",
+        edited.replace('data-latex="x^2">x^2', 'data-latex="y^3">y^3').replace("Square ", "The square ")
+      );
+      expect(changed.content[0].content.slice(0, 3)).toEqual([
+        icon,
+        { type: "text", text: "The square " },
+        { type: "inlineMath", attrs: { latex: "y^3" } },
+      ]);
+    });
+
+    test("writes links and image properties", () => {
+      const parsed = parseContent(doc, { sourceMap: true });
+
+      const link = accessor.setByPath(parsed, "items[0].inlineLinks[0]", {
+        ...parsed.items[0].inlineLinks[0],
+        href: "/guide",
+        label: "the guide",
+      });
+      expect(link.content[3].content[1]).toEqual({
+        type: "text",
+        text: "the guide",
+        marks: [{ type: "link", attrs: { href: "/guide", target: "_blank" } }],
+      });
+
+      const image = accessor.setByPath(parsed, "items[0].imgs[0]", {
+        ...parsed.items[0].imgs[0],
+        alt: "Photo",
+      });
+      expect(image.content[4].attrs).toEqual({ src: "a.jpg", alt: "Photo" });
+    });
+
+    test("locates fields with the options the content was parsed with", () => {
+      const heading = (level, text) => ({
+        type: "heading",
+        attrs: { level },
+        content: [{ type: "text", text }],
+      });
+      const grouped = {
+        type: "doc",
+        content: [
+          heading(1, "Title"),
+          { type: "paragraph", content: [{ type: "text", text: "Intro" }] },
+          heading(3, "Sub"),
+          { type: "horizontalRule" },
+          heading(2, "Item A"),
+        ],
+      };
+      const options = { grouping: "dividers" };
+      const parsed = parseContent(grouped, options);
+
+      const updated = accessor.setByPath(parsed, "items[0].title", "Renamed", options);
+      expect(updated.content[2].content[0].text).toBe("Sub");
+      expect(updated.content[4].content[0].text).toBe("Renamed");
+      expect(parseContent(updated, options).items[0].title).toBe("Renamed");
+    });
+
+    test("parses again with the recorded options", () => {
+      const heading = (level, text) => ({
+        type: "heading",
+        attrs: { level },
+        content: [{ type: "text", text }],
+      });
+      const paragraph = (text) => ({ type: "paragraph", content: [{ type: "text", text }] });
+      const sections = {
+        type: "doc",
+        content: [
+          heading(1, "T"), paragraph("t"),
+          heading(2, "A"), paragraph("a"),
+          heading(3, "S"), paragraph("s"),
+          heading(2, "B"), paragraph("b"),
+        ],
+      };
+      const parsed = parseContent(sections, { grouping: { splitLevel: 2 } });
+      expect(parsed.items[1].paragraphs[0]).toBe("b");
+
+      const updated = accessor.setByPath(parsed, "items[1].paragraphs[0]", "EDITED");
+      expect(updated.content[5].content[0].text).toBe("s");
+      expect(updated.content[7].content[0].text).toBe("EDITED");
+
+      // Copies lose the recorded options; a mismatching structure is an error
+      expect(() =>
+        accessor.setByPath({ ...parsed }, "items[1].paragraphs[0]", "EDITED")
+      ).toThrow(/different value/);
+    });
+
+    test("returns the same document when nothing changed", () => {
+      const parsed = parseContent(doc);
+      expect(accessor.setByPath(parsed, "title", parsed.title)).toBe(doc);
+    });
+
+    test("rejects paths without a single source node", () => {
+      const parsed = parseContent(doc);
+      expect(() => accessor.setByPath(parsed, "items[5].title", "x")).toThrow(/No document node/);
+      expect(() => accessor.setByPath(parsed, "items[0].paragraphs", ["x"])).toThrow();
+    });
+  });
 });
@@ -1,5 +1,6 @@
 import { parseContent } from "../../src/index.js";
 import * as extractors from "../../src/mappers/extractors.js";
+import { footnoteContent, detailsContent } from "../fixtures/groups.js";
 
 describe("Mapper Extractors", () => {
   describe("hero", () => {
@@ -40,6 +41,23 @@ describe("Mapper Extractors", () => {
       expect(hero.subtitle).toBe("Get started today");
       expect(hero.kicker).toBe("NEW");
       expect(hero.description).toEqual(["First paragraph", "Second paragraph"]);
+      expect(hero.banner).toBeNull();
+    });
+
+    test("uses the banner image", () => {
+      const parsed = parseContent({
+        type: "doc",
+        content: [
+          { type: "image", attrs: { src: "hero.jpg", alt: "Hero" } },
+          ...heroDoc.content,
+          { type: "image", attrs: { src: "side.jpg" } },
+        ],
+      });
+      const hero = extractors.hero(parsed);
+
+      expect(hero.banner).toMatchObject({ type: "image", src: "hero.jpg", alt: "Hero" });
+      expect(hero.image).toBeNull();
+      expect(parsed.imgs.map((img) => img.src)).toEqual(["side.jpg"]);
     });
   });
 
@@ -251,6 +269,20 @@ describe("Mapper Extractors", () => {
       expect(faq[1].question).toBe("Is it free?");
       expect(faq[1].answer).toEqual(["Yes, it's open source."]);
     });
+
+    test("extracts Q&A pairs from details blocks", () => {
+      const parsed = parseContent(detailsContent);
+      const faq = extractors.faq(parsed);
+
+      expect(faq).toHaveLength(2);
+      expect(faq[0].question).toBe("How does it work?");
+      expect(faq[0].answer).toEqual(["It parses content."]);
+      expect(faq[1].question).toBe("Is it free?");
+      expect(faq[1].answer[0]).toContain('href="/license"');
+      expect(faq[1].inlineLinks).toEqual([
+        expect.objectContaining({ href: "/license", paragraph: 0 }),
+      ]);
+    });
   });
 
   describe("article", () => {
@@ -287,6 +319,63 @@ describe("Mapper Extractors", () => {
       expect(article.subtitle).toBe("Subtitle");
       expect(article.kicker).toBe("FEATURED");
       expect(article.content).toEqual(["Article content."]);
+      expect(article.footnotes).toEqual([]);
+      expect(article.banner).toBeNull();
+    });
+
+    test("uses a banner video", () => {
+      const parsed = parseContent({
+        type: "doc",
+        content: [
+          ...articleDoc.content,
+          { type: "Video", attrs: { src: "https://youtu.be/dQw4w9WgXcQ", role: "banner" } },
+        ],
+      });
+      const article = extractors.article(parsed);
+
+      expect(article.banner).toMatchObject({ type: "video", provider: "youtube", role: "banner" });
+      expect(article.videos).toEqual([]);
+    });
+
+    test("returns footnotes from the whole article", () => {
+      const parsed = parseContent(footnoteContent);
+      const article = extractors.article(parsed);
+
+      expect(article.footnotes.map((f) => f.number)).toEqual([1, 2]);
+      expect(article.footnotes[0].refs).toEqual(["fnref-1", "fnref-1-2"]);
+    });
+  });
+
+  describe("toc", () => {
+    const doc = {
+      type: "doc",
+      content: [
+        { type: "heading", attrs: { level: 1 }, content: [{ type: "text", text: "Guide" }] },
+        { type: "paragraph", content: [{ type: "text", text: "Intro." }] },
+        { type: "heading", attrs: { level: 2 }, content: [{ type: "text", text: "Setup" }] },
+        { type: "heading", attrs: { level: 3, id: "deps" }, content: [{ type: "text", text: "Dependencies" }] },
+        { type: "paragraph", content: [{ type: "text", text: "Install." }] },
+      ],
+    };
+
+    test("extracts nested section links", () => {
+      const result = extractors.toc(parseContent(doc));
+
+      expect(result[0]).toMatchObject({ id: "guide", label: "Guide", href: "#guide", level: 1 });
+      expect(result[0].children[0]).toMatchObject({ label: "Setup", href: "#setup" });
+      expect(result[0].children[0].children[0]).toMatchObject({ label: "Dependencies", href: "#deps" });
+    });
+
+    test("limits levels", () => {
+      const result = extractors.toc(parseContent(doc), { minLevel: 2, maxLevel: 2 });
+
+      expect(result).toEqual([
+        { id: "setup", label: "Setup", href: "#setup", level: 2, children: [] },
+      ]);
+    });
+
+    test("handles content without headings", () => {
+      expect(extractors.toc(null)).toEqual([]);
     });
   });
 });
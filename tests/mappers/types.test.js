@@ -17,6 +17,11 @@ describe("Type System", () => {
       expect(types.stripMarkup(text)).toBe("Hello & goodbye <tag>");
     });
 
+    test("decodes named and numeric entities beyond the basic set", () => {
+      const text = "Caf&eacute; &mdash; 5&euro; &#8220;quoted&#x201D;";
+      expect(types.stripMarkup(text)).toBe("Café — 5€ “quoted”");
+    });
+
     test("preserves line breaks when requested", () => {
       const text = "Line 1<br>Line 2<br/>Line 3";
       const result = types.stripMarkup(text, { preserveLineBreaks: true });
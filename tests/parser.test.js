@@ -1,4 +1,4 @@
-import { parseContent } from "../src/index.js";
+import { parseContent, parseContentAsync, ParseError } from "../src/index.js";
 import {
     simpleDocument,
     withPretitle,
@@ -34,4 +34,291 @@ describe("parseContent", () => {
     //   const paragraph = result.sequence[0];
     //   expect(paragraph.content).toBe("Normal <strong>bold</strong> and <em>italic</em> text.");
     // });
+
+    test("exposes runs for flat header fields and paragraphs", () => {
+        const result = parseContent(withPretitle, { inlineFormat: "runs" });
+
+        expect(result.title).toBe("Main Title");
+        expect(result.titleRuns).toEqual([{ text: "Main Title", marks: [] }]);
+        expect(result.pretitleRuns).toEqual([{ text: "PRETITLE", marks: [] }]);
+        expect(result.subtitleRuns).toEqual([]);
+        expect(result.paragraphRuns).toEqual([
+            [{ text: "Content.", marks: [] }],
+        ]);
+    });
+
+    test("omits run fields unless requested", () => {
+        const result = parseContent(simpleDocument);
+        expect(result.titleRuns).toBeUndefined();
+        expect(result.paragraphRuns).toBeUndefined();
+    });
+
+    test("resolves assets with an async resolver", async () => {
+        const doc = {
+            type: "doc",
+            content: [
+                {
+                    type: "ImageBlock",
+                    attrs: { info: { identifier: "hero.jpg" }, alt: "Hero" },
+                },
+            ],
+        };
+        const resolveAsset = async (info) => `/assets/${info.identifier}`;
+
+        const result = await parseContentAsync(doc, { resolveAsset });
+        expect(result.imgs[0].url).toBe("/assets/hero.jpg");
+    });
+
+    test("resolves assets with the same identifier from different sources", async () => {
+        const image = (source) => ({
+            type: "ImageBlock",
+            attrs: { info: { identifier: "logo.png", source }, alt: "Logo" },
+        });
+        const doc = { type: "doc", content: [image("site"), image("profile")] };
+        const resolveAsset = async (info) => `/${info.source}/${info.identifier}`;
+
+        const result = await parseContentAsync(doc, { resolveAsset });
+        expect(result.imgs.map((img) => img.url)).toEqual([
+            "/site/logo.png",
+            "/profile/logo.png",
+        ]);
+    });
+
+    test("builds a table of contents from headings", () => {
+        const heading = (level, text) => ({
+            type: "heading",
+            attrs: { level },
+            content: [{ type: "text", text }],
+        });
+        const paragraph = {
+            type: "paragraph",
+            content: [{ type: "text", text: "Text." }],
+        };
+        const doc = {
+            type: "doc",
+            content: [
+                heading(3, "Guide"),
+                heading(1, "Handbook"),
+                paragraph,
+                heading(2, "Install"),
+                paragraph,
+                heading(3, "Requirements"),
+                paragraph,
+                heading(2, "Usage"),
+                paragraph,
+            ],
+        };
+
+        const result = parseContent(doc);
+        expect(result.toc).toEqual([
+            {
+                id: "handbook",
+                text: "Handbook",
+                level: 1,
+                children: [
+                    {
+                        id: "install",
+                        text: "Install",
+                        level: 2,
+                        children: [
+                            {
+                                id: "requirements",
+                                text: "Requirements",
+                                level: 3,
+                                children: [],
+                            },
+                        ],
+                    },
+                    { id: "usage", text: "Usage", level: 2, children: [] },
+                ],
+            },
+        ]);
+
+        // Headings that are not pretitles under the pretitle rules are sections
+        const strictPretitles = parseContent(doc, { pretitleLevel: 2 });
+        expect(strictPretitles.toc.map((entry) => entry.text)).toEqual(["Guide", "Handbook"]);
+    });
+
+    describe("diagnostics", () => {
+        const brokenDoc = {
+            type: "doc",
+            content: [
+                {
+                    type: "codeBlock",
+                    attrs: { language: "json", tag: "config" },
+                    content: [{ type: "text", text: "{ broken" }],
+                },
+                { type: "FormBlock", attrs: { data: "{nope" } },
+                {
+                    type: "card-group",
+                    content: [
+                        { type: "card", attrs: { cardType: "event", address: "not json" } },
+                    ],
+                },
+                { type: "mystery", content: [{ type: "text", text: "?" }] },
+            ],
+        };
+
+        test("reports recovered content problems", () => {
+            const result = parseContent(brokenDoc);
+
+            expect(
+                result.diagnostics.map(({ severity, code, location }) => [
+                    severity,
+                    code,
+                    location.path,
+                    location.type,
+                ])
+            ).toEqual([
+                ["error", "invalid-data", "content[0]", "codeBlock"],
+                ["error", "invalid-form-data", "content[1]", "FormBlock"],
+                ["error", "invalid-card-address", "content[2].content[0]", "card"],
+                ["warning", "unknown-node", "content[3]", "mystery"],
+            ]);
+            expect(result.diagnostics[0].message).toMatch(/Invalid json in code block "config"/);
+
+            // Parsing still recovers
+            expect(result.data.config).toBe("{ broken");
+        });
+
+        test("calls onDiagnostic for each problem", () => {
+            const seen = [];
+            parseContent(brokenDoc, { onDiagnostic: (d) => seen.push(d.code) });
+
+            expect(seen).toEqual([
+                "invalid-data",
+                "invalid-form-data",
+                "invalid-card-address",
+                "unknown-node",
+            ]);
+        });
+
+        test("is empty for valid content", () => {
+            expect(parseContent(simpleDocument).diagnostics).toEqual([]);
+        });
+    });
+
+    describe("malformed documents", () => {
+        const malformedDoc = {
+            type: "doc",
+            content: [
+                { type: "heading", content: [{ type: "text", text: "No attrs" }] },
+                { type: "bulletList" },
+                {
+                    type: "paragraph",
+                    content: [
+                        { type: "text", text: "Read " },
+                        { type: "text", text: "docs", marks: [{ type: "link" }] },
+                    ],
+                },
+                { type: "paragraph", content: "not an array" },
+                {
+                    type: "paragraph",
+                    content: [
+                        { type: "text", text: "Kept" },
+                        { type: "text", marks: [{ type: "bold" }] },
+                        { type: "text", text: " too" },
+                    ],
+                },
+                { type: "paragraph", content: [{ type: "text", text: "After" }] },
+            ],
+        };
+
+        test("tolerant mode skips and reports bad nodes", () => {
+            const result = parseContent(malformedDoc);
+
+            expect(result.title).toBe("No attrs");
+            expect(result.sequence[0].level).toBe(1);
+            expect(result.lists).toEqual([[]]);
+            expect(result.paragraphs).toEqual(["Read docs", "Kept too", "After"]);
+            expect(result.diagnostics).toEqual([
+                {
+                    severity: "error",
+                    code: "missing-heading-level",
+                    message: "Heading without a level, using level 1",
+                    location: { path: "content[0]", type: "heading" },
+                },
+                {
+                    severity: "error",
+                    code: "missing-list-content",
+                    message: "bulletList without content, using an empty list",
+                    location: { path: "content[1]", type: "bulletList" },
+                },
+                {
+                    severity: "error",
+                    code: "missing-link-href",
+                    message: "Link without an href, keeping its text only",
+                    location: { path: "content[2].content[1]", type: "text" },
+                },
+                {
+                    severity: "error",
+                    code: "invalid-node",
+                    message: "Invalid paragraph node: content is not an array",
+                    location: { path: "content[3]", type: "paragraph" },
+                },
+                {
+                    severity: "error",
+                    code: "invalid-node",
+                    message: "Invalid text node: text node without text",
+                    location: { path: "content[4].content[1]", type: "text" },
+                },
+            ]);
+        });
+
+        test("strict mode throws a ParseError with code and path", () => {
+            expect.assertions(4);
+            try {
+                parseContent(malformedDoc, { strict: true });
+            } catch (err) {
+                expect(err).toBeInstanceOf(ParseError);
+                expect(err.code).toBe("missing-heading-level");
+                expect(err.path).toBe("content[0]");
+                expect(err.nodeType).toBe("heading");
+            }
+        });
+
+        test.each([
+            ["missing-list-content", "content[1]", 1],
+            ["missing-link-href", "content[2].content[1]", 2],
+            ["invalid-node", "content[3]", 3],
+            ["invalid-node", "content[4].content[1]", 4],
+        ])("strict mode throws %s at %s", (code, path, index) => {
+            // Replace the earlier bad nodes, keeping the paths of the others
+            const content = malformedDoc.content.map((node, i) =>
+                i < index ? { type: "horizontalRule" } : node
+            );
+            const doc = { type: "doc", content };
+
+            expect(() => parseContent(doc, { strict: true })).toThrow(
+                expect.objectContaining({ code, path })
+            );
+        });
+
+        test("strict mode throws for broken data but not for warnings", () => {
+            const doc = {
+                type: "doc",
+                content: [
+                    { type: "mystery" },
+                    {
+                        type: "codeBlock",
+                        attrs: { language: "json", tag: "cfg" },
+                        content: [{ type: "text", text: "{" }],
+                    },
+                ],
+            };
+
+            expect(() => parseContent(doc, { strict: true })).toThrow(
+                expect.objectContaining({ code: "invalid-data", path: "content[1]" })
+            );
+            expect(() => parseContent({ type: "doc", content: [{ type: "mystery" }] }, { strict: true })).not.toThrow();
+        });
+
+        test("reports documents that aren't documents", () => {
+            const result = parseContent(null);
+
+            expect(result.title).toBe("");
+            expect(result.diagnostics[0].code).toBe("invalid-document");
+            expect(() => parseContent("doc", { strict: true })).toThrow(ParseError);
+        });
+    });
 });
@@ -13,9 +13,32 @@ import {
     taggedYamlBlocks,
     untaggedCodeBlocks,
     mixedCodeBlocks,
+    tableContent,
+    taskListContent,
+    mathContent,
+    footnoteContent,
+    detailsContent,
 } from "../fixtures/groups.js";
 import { processSequence } from "../../src/processors/sequence.js";
 
+// Node factories for inline test documents
+const heading = (level, text, attrs = {}) => ({
+    type: "heading",
+    attrs: { level, ...attrs },
+    content: [{ type: "text", text }],
+});
+const paragraph = (text, attrs) => ({
+    type: "paragraph",
+    attrs,
+    content: [{ type: "text", text }],
+});
+const link = (text, href) => ({
+    type: "text",
+    text,
+    marks: [{ type: "link", attrs: { href } }],
+});
+const image = (src, role) => ({ type: "image", attrs: { src, role } });
+
 describe("processGroups", () => {
     test("handles divider-based groups", () => {
         const sequence = processSequence(dividerGroups);
@@ -179,4 +202,493 @@ describe("processGroups", () => {
         // Untagged does NOT go to data
         expect(Object.keys(result.data)).toHaveLength(1);
     });
+
+    test("custom group handlers map elements into the body", () => {
+        const doc = {
+            type: "doc",
+            content: [
+                {
+                    type: "heading",
+                    attrs: { level: 1 },
+                    content: [{ type: "text", text: "Pricing" }],
+                },
+                { type: "PricingTable", attrs: { plans: ["Basic", "Pro"] } },
+            ],
+        };
+
+        const options = {
+            nodeHandlers: {
+                PricingTable: (node) => ({
+                    type: "pricing-table",
+                    plans: node.attrs.plans,
+                }),
+            },
+            groupHandlers: {
+                "pricing-table": (element, body) => {
+                    body.data.plans = element.plans;
+                },
+            },
+        };
+
+        const result = processGroups(processSequence(doc, options), options);
+
+        expect(result.title).toBe("Pricing");
+        expect(result.data.plans).toEqual(["Basic", "Pro"]);
+    });
+
+    test("collects tables in the body", () => {
+        const sequence = processSequence(tableContent);
+        const result = processGroups(sequence);
+
+        expect(result.title).toBe("Compare Plans");
+        expect(result.tables).toHaveLength(1);
+        expect(result.tables[0].rows[0].header).toBe(true);
+        expect(result.tables[0].rows[1].cells[1].text).toBe("10 GB");
+        expect(result.paragraphs).toEqual([]);
+    });
+
+    test("empty content has an empty tables field", () => {
+        const result = processGroups([]);
+        expect(result.tables).toEqual([]);
+        expect(result.items).toEqual([]);
+    });
+
+    test("carries checked state through task lists", () => {
+        const sequence = processSequence(taskListContent);
+        const result = processGroups(sequence);
+
+        expect(result.lists).toHaveLength(1);
+        expect(result.lists[0]).toHaveLength(2);
+        expect(result.lists[0][0].paragraphs).toEqual(["Create account"]);
+        expect(result.lists[0][0].checked).toBe(true);
+        expect(result.lists[0][1].checked).toBe(false);
+    });
+
+    test("collects display math in the body", () => {
+        const sequence = processSequence(mathContent);
+        const result = processGroups(sequence);
+
+        expect(result.math).toEqual([{ latex: "E = mc^2", display: true }]);
+        expect(result.paragraphs[0]).toContain('data-latex="c &lt; v"');
+    });
+
+    test("attaches referenced footnotes to each group", () => {
+        const sequence = processSequence(footnoteContent);
+        const result = processGroups(sequence);
+
+        expect(result.title).toBe("Essay");
+        expect(result.footnotes.map((f) => f.number)).toEqual([1, 2]);
+        expect(result.items).toHaveLength(1);
+        expect(result.items[0].footnotes.map((f) => f.number)).toEqual([1]);
+        // Definitions are not body content
+        expect(result.items[0].paragraphs).toHaveLength(1);
+    });
+
+    test("collects details blocks in the body", () => {
+        const sequence = processSequence(detailsContent);
+        const result = processGroups(sequence);
+
+        expect(result.details).toHaveLength(2);
+        expect(result.details[0].summary).toBe("How does it work?");
+        expect(result.details[0].open).toBe(true);
+        expect(result.details[0].paragraphs).toEqual(["It parses content."]);
+        expect(result.details[0].details[0].summary).toBe("More?");
+        expect(result.details[1].links).toEqual([]);
+        expect(result.details[1].inlineLinks[0]).toMatchObject({ href: "/license", paragraph: 0 });
+        expect(result.paragraphs).toEqual([]);
+    });
+
+    test("keeps icons of link rows on their links", () => {
+        const icon = (name) => ({ type: "UniwebIcon", attrs: { svg: `<svg>${name}</svg>` } });
+        const doc = {
+            type: "doc",
+            content: [
+                {
+                    type: "paragraph",
+                    content: [
+                        icon("twitter"),
+                        link("Twitter", "https://twitter.com/x"),
+                        { type: "text", text: " " },
+                        icon("github"),
+                        link("GitHub", "https://github.com/x"),
+                    ],
+                },
+            ],
+        };
+
+        const result = processGroups(processSequence(doc));
+
+        expect(result.icons).toEqual([]);
+        expect(result.links.map((l) => [l.label, l.iconBefore.svg])).toEqual([
+            ["Twitter", "<svg>twitter</svg>"],
+            ["GitHub", "<svg>github</svg>"],
+        ]);
+    });
+
+    test("keeps inline links apart from standalone links", () => {
+        const doc = {
+            type: "doc",
+            content: [
+                { type: "paragraph", content: [{ type: "text", text: "Intro" }] },
+                {
+                    type: "paragraph",
+                    content: [
+                        { type: "text", text: "Read our " },
+                        link("policy", "/policy"),
+                        { type: "text", text: " first." },
+                    ],
+                },
+                { type: "paragraph", content: [link("Get started", "/start")] },
+            ],
+        };
+
+        const sequence = processSequence(doc);
+        const result = processGroups(sequence);
+
+        expect(result.links.map((l) => l.href)).toEqual(["/start"]);
+        expect(result.inlineLinks).toEqual([
+            { href: "/policy", label: "policy", paragraph: 1 },
+        ]);
+        expect(result.paragraphs[result.inlineLinks[0].paragraph]).toContain("policy");
+
+        const merged = processGroups(sequence, { mergeInlineLinks: true });
+        expect(merged.links.map((l) => l.href)).toEqual(["/policy", "/start"]);
+        expect(merged.inlineLinks).toHaveLength(1);
+    });
+
+    describe("grouping option", () => {
+        const doc = {
+            type: "doc",
+            content: [
+                heading(1, "Title"),
+                paragraph("Intro"),
+                { type: "horizontalRule" },
+                heading(2, "Item A"),
+                paragraph("About A"),
+                heading(3, "Detail"),
+                paragraph("More about A"),
+                heading(2, "Item B"),
+                paragraph("About B"),
+                { type: "horizontalRule" },
+                paragraph("Closing"),
+            ],
+        };
+        const group = (options) => processGroups(processSequence(doc), options);
+
+        test("auto splits on dividers and every heading", () => {
+            const result = group();
+            expect(result.title).toBe("Title");
+            expect(result.items.map((item) => item.title)).toEqual([
+                "Item A",
+                "Detail",
+                "Item B",
+                "",
+            ]);
+            expect(group({ grouping: "auto" })).toEqual(result);
+        });
+
+        test("splitLevel keeps deeper headings in the item body", () => {
+            const result = group({ grouping: { splitLevel: 2 } });
+            expect(result.items.map((item) => item.title)).toEqual(["Item A", "Item B", ""]);
+            expect(result.items[0].headings).toEqual(["Detail"]);
+            expect(result.items[0].paragraphs).toEqual(["About A", "More about A"]);
+        });
+
+        test("splitLevel keeps the pretitle of a split heading", () => {
+            const sequence = processSequence({
+                type: "doc",
+                content: [heading(2, "Intro"), paragraph("Text"), heading(4, "NEW"), heading(2, "Next")],
+            });
+            const result = processGroups(sequence, { grouping: { splitLevel: 2 } });
+            expect(result.items).toHaveLength(2);
+            expect(result.items[1].pretitle).toBe("NEW");
+            expect(result.items[1].title).toBe("Next");
+        });
+
+        test("dividers only split on dividers", () => {
+            const result = group({ grouping: "dividers" });
+            expect(result.title).toBe("Title");
+            expect(result.items).toHaveLength(2);
+            expect(result.items[0].title).toBe("Item A");
+            expect(result.items[0].headings).toEqual(["Detail", "Item B"]);
+            expect(result.items[1].paragraphs).toEqual(["Closing"]);
+        });
+
+        test("headings only split on headings", () => {
+            const result = group({ grouping: "headings" });
+            expect(result.items.map((item) => item.title)).toEqual(["Item A", "Detail", "Item B"]);
+            expect(result.items[2].paragraphs).toEqual(["About B", "Closing"]);
+        });
+    });
+
+    describe("nestItems option", () => {
+        const doc = {
+            type: "doc",
+            content: [
+                heading(1, "Products"),
+                paragraph("All products"),
+                heading(2, "Software"),
+                paragraph("Apps"),
+                heading(3, "Editor"),
+                paragraph("Write"),
+                heading(3, "Viewer"),
+                paragraph("Read"),
+                heading(4, "Mobile"),
+                paragraph("On the go"),
+                heading(2, "Hardware"),
+                paragraph("Devices"),
+                heading(3, "Laptop"),
+                { type: "horizontalRule" },
+                paragraph("Footer note"),
+            ],
+        };
+
+        test("nests groups by heading level", () => {
+            const result = processGroups(processSequence(doc), { nestItems: true });
+            const titles = (items) =>
+                items.map((item) => [item.title, titles(item.items)]);
+
+            expect(result.title).toBe("Products");
+            expect(titles(result.items)).toEqual([
+                ["Software", [["Editor", []], ["Viewer", [["Mobile", []]]]]],
+                ["Hardware", [["Laptop", []]]],
+                ["", []],
+            ]);
+            expect(result.items[0].paragraphs).toEqual(["Apps"]);
+            expect(result.items[0].items[0].paragraphs).toEqual(["Write"]);
+        });
+
+        test("keeps a single items level by default", () => {
+            const result = processGroups(processSequence(doc));
+
+            expect(result.items.map((item) => item.title)).toEqual([
+                "Software",
+                "Editor",
+                "Viewer",
+                "Mobile",
+                "Hardware",
+                "Laptop",
+                "",
+            ]);
+            expect(result.items[0].items).toBeUndefined();
+        });
+    });
+
+    describe("pretitle options", () => {
+        const group = (content, options) =>
+            processGroups(processSequence({ type: "doc", content }), options);
+
+        test("any smaller heading before a larger one by default", () => {
+            const result = group([heading(3, "New release"), heading(1, "Title")]);
+            expect(result.pretitle).toBe("New release");
+            expect(result.title).toBe("Title");
+        });
+
+        test("limits pretitles to the allowed levels", () => {
+            const content = [heading(3, "Kicker"), heading(1, "Title")];
+
+            const h2Only = group(content, { pretitleLevel: 2 });
+            expect(h2Only.pretitle).toBe("");
+            expect(h2Only.items.map((item) => item.title)).toEqual(["Kicker", "Title"]);
+
+            expect(group(content, { pretitle: { levels: [2, 3] } }).pretitle).toBe("Kicker");
+            expect(
+                group([heading(2, "Kicker"), heading(1, "Title")], { pretitleLevel: 2 }).pretitle
+            ).toBe("Kicker");
+        });
+
+        test("can require short uppercase text", () => {
+            const options = { pretitle: { uppercase: true, maxLength: 12 } };
+
+            expect(group([heading(3, "NEW"), heading(1, "Title")], options).pretitle).toBe("NEW");
+            expect(group([heading(3, "New"), heading(1, "Title")], options).pretitle).toBe("");
+            expect(
+                group([heading(3, "A VERY LONG KICKER"), heading(1, "Title")], options).pretitle
+            ).toBe("");
+        });
+
+        test("detects headings marked as pretitle", () => {
+            const marked = group([heading(2, "Intro", { role: "pretitle" }), heading(2, "Title")]);
+            expect(marked.pretitle).toBe("Intro");
+            expect(marked.title).toBe("Title");
+
+            const span = group([
+                {
+                    type: "heading",
+                    attrs: { level: 4 },
+                    content: [
+                        { type: "text", text: "Intro", marks: [{ type: "span", attrs: { class: "eyebrow" } }] },
+                    ],
+                },
+                heading(4, "Title"),
+            ]);
+            expect(span.pretitle).toBe('<span class="eyebrow">Intro</span>');
+            expect(span.title).toBe("Title");
+
+            const ignored = group(
+                [heading(2, "Intro", { role: "pretitle" }), heading(2, "Title")],
+                { pretitle: { explicit: false } }
+            );
+            expect(ignored.pretitle).toBe("");
+        });
+
+        test("takes an eyebrow paragraph as pretitle with the eyebrow option", () => {
+            const content = [
+                heading(1, "Page"),
+                paragraph("Intro"),
+                paragraph("FEATURE", { role: "eyebrow" }),
+                heading(2, "Fast"),
+                paragraph("Very fast"),
+            ];
+
+            const result = group(content, { pretitle: { eyebrow: true } });
+            expect(result.paragraphs).toEqual(["Intro"]);
+            expect(result.items[0].pretitle).toBe("FEATURE");
+            expect(result.items[0].title).toBe("Fast");
+            expect(result.items[0].paragraphs).toEqual(["Very fast"]);
+
+            const plain = group(content);
+            expect(plain.paragraphs).toEqual(["Intro", "FEATURE"]);
+            expect(plain.items[0].pretitle).toBe("");
+        });
+    });
+
+    describe("banners", () => {
+        const group = (content, options) =>
+            processGroups(processSequence({ type: "doc", content }), options);
+
+        test("takes an image before the first heading as banner", () => {
+            const result = group([
+                image("hero.jpg"),
+                heading(1, "Title"),
+                paragraph("Text"),
+                image("inline.jpg"),
+            ]);
+
+            expect(result.title).toBe("Title");
+            expect(result.banner).toMatchObject({ type: "image", src: "hero.jpg" });
+            expect(result.imgs.map((img) => img.src)).toEqual(["inline.jpg"]);
+        });
+
+        test("detects banners of items", () => {
+            const result = group([
+                heading(1, "Title"),
+                paragraph("Intro"),
+                image("a.jpg", "banner"),
+                heading(2, "Item A"),
+                paragraph("Text"),
+                { type: "horizontalRule" },
+                image("b.jpg"),
+                heading(2, "Item B"),
+            ]);
+
+            expect(result.banner).toBeNull();
+            expect(result.imgs).toEqual([]);
+            expect(result.items.map((item) => [item.title, item.banner?.src])).toEqual([
+                ["Item A", "a.jpg"],
+                ["Item B", "b.jpg"],
+            ]);
+        });
+
+        test("keeps explicit banners anywhere in the group", () => {
+            const result = group([
+                heading(1, "Title"),
+                paragraph("Text"),
+                image("photo.jpg"),
+                image("wide.jpg", "banner"),
+            ]);
+
+            expect(result.banner.src).toBe("wide.jpg");
+            expect(result.imgs.map((img) => img.src)).toEqual(["photo.jpg"]);
+        });
+    });
+
+    describe("ordered body", () => {
+        test("keeps body blocks in document order", () => {
+            const doc = {
+                type: "doc",
+                content: [
+                    heading(1, "Article"),
+                    paragraph("One"),
+                    paragraph("Two"),
+                    { type: "image", attrs: { src: "photo.jpg" } },
+                    {
+                        type: "paragraph",
+                        content: [
+                            { type: "UniwebIcon", attrs: { svg: "<svg></svg>" } },
+                            { type: "text", text: "Three, see " },
+                            { type: "text", text: "notes", marks: [{ type: "link", attrs: { href: "/notes" } }] },
+                        ],
+                    },
+                    {
+                        type: "bulletList",
+                        content: [{ type: "listItem", content: [paragraph("Item")] }],
+                    },
+                    {
+                        type: "codeBlock",
+                        attrs: { language: "json", tag: "config" },
+                        content: [{ type: "text", text: '{"a": 1}' }],
+                    },
+                ],
+            };
+
+            const result = processGroups(processSequence(doc, { parseCodeAsJson: true }));
+
+            expect(result.body.map((block) => [block.type, block.index ?? block.key])).toEqual([
+                ["paragraph", 0],
+                ["paragraph", 1],
+                ["image", 0],
+                ["paragraph", 2],
+                ["list", 0],
+                ["data", "config"],
+            ]);
+            expect(result.body[2].value).toBe(result.imgs[0]);
+            expect(result.body[4].value).toBe(result.lists[0]);
+            expect(result.body[5].value).toBe(result.data.config);
+            expect(result.lists[0][0].body).toEqual([
+                { type: "paragraph", index: 0, value: "Item" },
+            ]);
+        });
+
+        test("gives every item its own body", () => {
+            const doc = {
+                type: "doc",
+                content: [
+                    heading(1, "Title"),
+                    paragraph("Intro"),
+                    heading(2, "Item"),
+                    { type: "image", attrs: { src: "a.jpg" } },
+                    paragraph("Caption"),
+                    heading(4, "Aside"),
+                ],
+            };
+
+            const result = processGroups(processSequence(doc), { grouping: { splitLevel: 2 } });
+
+            expect(result.body).toEqual([{ type: "paragraph", index: 0, value: "Intro" }]);
+            expect(result.items[0].body.map((block) => block.type)).toEqual([
+                "image",
+                "paragraph",
+                "heading",
+            ]);
+        });
+    });
+
+    test("keeps the ids of body headings", () => {
+        const doc = {
+            type: "doc",
+            content: [
+                heading(1, "Guide"),
+                heading(2, "Intro"),
+                heading(3, "Setup"),
+                heading(4, "Linux"),
+                heading(5, "Debian", { id: "deb" }),
+            ],
+        };
+
+        const result = processGroups(processSequence(doc));
+
+        expect(result.headings).toEqual(["Linux", "Debian"]);
+        expect(result.headingIds).toEqual(["linux", "deb"]);
+    });
 });
@@ -1,4 +1,11 @@
 import { processSequence } from "../../src/processors/sequence.js";
+import {
+  tableContent,
+  taskListContent,
+  mathContent,
+  footnoteContent,
+  detailsContent,
+} from "../fixtures/groups.js";
 
 describe("processSequence", () => {
   test("processes basic document structure", () => {
@@ -22,6 +29,7 @@ describe("processSequence", () => {
     expect(result[0]).toEqual({
       type: "heading",
       level: 1,
+      id: "title",
       text: "Title",
       children: [],
       attrs: { level: 1 }
@@ -274,9 +282,8 @@ describe("processSequence", () => {
       expect(result[1].attrs.href).toBe("/about");
     });
 
-    test("multiple links with icons - icons not associated with links", () => {
-      // Icons in multi-link paragraphs are not associated with specific links
-      // They go to body.icons separately when processed through groups
+    test("multiple links with icons - each link gets its adjacent icons", () => {
+      // [icon] Home [icon] About: icons lead their link
       const doc = {
         type: "doc",
         content: [
@@ -308,11 +315,38 @@ describe("processSequence", () => {
 
       const result = processSequence(doc);
       expect(result).toHaveLength(2);
-      // Links extracted without icon association
       expect(result[0].attrs.label).toBe("Home");
       expect(result[0].attrs.href).toBe("/");
+      expect(result[0].attrs.iconBefore.svg).toBe("<svg>home</svg>");
+      expect(result[0].attrs.iconAfter).toBeNull();
       expect(result[1].attrs.label).toBe("About");
       expect(result[1].attrs.href).toBe("/about");
+      expect(result[1].attrs.iconBefore.svg).toBe("<svg>about</svg>");
+      expect(result[1].attrs.iconAfter).toBeNull();
+    });
+
+    test("multiple links with trailing icons", () => {
+      // Home [icon] About [icon]: icons trail their link
+      const link = (text, href) => ({
+        type: "text",
+        text,
+        marks: [{ type: "link", attrs: { href } }],
+      });
+      const icon = (name) => ({ type: "UniwebIcon", attrs: { svg: `<svg>${name}</svg>` } });
+      const doc = {
+        type: "doc",
+        content: [
+          {
+            type: "paragraph",
+            content: [link("Home", "/"), icon("home"), { type: "text", text: " " }, link("About", "/about"), icon("about")],
+          },
+        ],
+      };
+
+      const result = processSequence(doc);
+      expect(result[0].attrs.iconBefore).toBeNull();
+      expect(result[0].attrs.iconAfter.svg).toBe("<svg>home</svg>");
+      expect(result[1].attrs.iconAfter.svg).toBe("<svg>about</svg>");
     });
   });
 
@@ -544,4 +578,808 @@ describe("processSequence", () => {
       expect(result[0].text).toBe('<span>plain span</span>');
     });
   });
+
+  describe("custom node handlers", () => {
+    const doc = {
+      type: "doc",
+      content: [
+        {
+          type: "PricingTable",
+          attrs: { plans: 3 },
+          content: [{ type: "text", text: "Plans" }],
+        },
+        {
+          type: "paragraph",
+          content: [{ type: "text", text: "After" }],
+        },
+      ],
+    };
+
+    test("unknown nodes keep their attrs by default", () => {
+      const result = processSequence(doc);
+      expect(result[0]).toEqual({
+        type: "PricingTable",
+        content: "Plans",
+        attrs: { plans: 3 },
+      });
+    });
+
+    test("handler output replaces the built-in element", () => {
+      const result = processSequence(doc, {
+        nodeHandlers: {
+          PricingTable: (node, { getTextContent }) => ({
+            type: "pricing-table",
+            label: getTextContent(node.content),
+            plans: node.attrs.plans,
+          }),
+        },
+      });
+
+      expect(result[0]).toEqual({
+        type: "pricing-table",
+        label: "Plans",
+        plans: 3,
+      });
+      expect(result[1].type).toBe("paragraph");
+    });
+
+    test("handler returning null drops the node", () => {
+      const result = processSequence(doc, {
+        nodeHandlers: { PricingTable: () => null },
+      });
+      expect(result).toHaveLength(1);
+      expect(result[0].type).toBe("paragraph");
+    });
+
+    test("handler returning undefined falls back to built-in handling", () => {
+      const result = processSequence(doc, {
+        nodeHandlers: { paragraph: () => undefined },
+      });
+      expect(result[1].text).toBe("After");
+    });
+
+    test("handlers apply inside nested content", () => {
+      const nested = {
+        type: "doc",
+        content: [
+          {
+            type: "blockquote",
+            content: [{ type: "MapEmbed", attrs: { lat: 1, lng: 2 } }],
+          },
+        ],
+      };
+
+      const result = processSequence(nested, {
+        nodeHandlers: {
+          MapEmbed: (node) => ({ type: "map", ...node.attrs }),
+        },
+      });
+      expect(result[0].children[0]).toEqual({ type: "map", lat: 1, lng: 2 });
+    });
+  });
+
+  describe("mark renderers", () => {
+    const paragraph = (marks, text = "text") => ({
+      type: "doc",
+      content: [
+        {
+          type: "paragraph",
+          content: [{ type: "text", text, marks }],
+        },
+      ],
+    });
+
+    test("renders built-in formatting marks", () => {
+      const doc = paragraph([{ type: "underline" }, { type: "strike" }]);
+      expect(processSequence(doc)[0].text).toBe("<s><u>text</u></s>");
+
+      expect(processSequence(paragraph([{ type: "code" }]))[0].text).toBe(
+        "<code>text</code>"
+      );
+      expect(
+        processSequence(paragraph([{ type: "superscript" }]))[0].text
+      ).toBe("<sup>text</sup>");
+    });
+
+    test("nesting order does not depend on mark order", () => {
+      const doc = paragraph([
+        { type: "link", attrs: { href: "/about" } },
+        { type: "italic" },
+        { type: "bold" },
+      ]);
+      doc.content[0].content.unshift({ type: "text", text: "See " });
+      expect(processSequence(doc)[0].text).toBe(
+        'See <a href="/about" target="_self"><em><strong>text</strong></em></a>'
+      );
+    });
+
+    test("adds custom marks with a render function", () => {
+      const doc = paragraph(
+        [{ type: "abbr", attrs: { title: "HyperText Markup Language" } }],
+        "HTML"
+      );
+      const result = processSequence(doc, {
+        markRenderers: {
+          abbr: (text, mark) => `<abbr title="${mark.attrs.title}">${text}</abbr>`,
+        },
+      });
+      expect(result[0].text).toBe(
+        '<abbr title="HyperText Markup Language">HTML</abbr>'
+      );
+    });
+
+    test("custom priority controls nesting", () => {
+      const doc = paragraph([{ type: "tooltip", attrs: { tip: "Hi" } }, { type: "bold" }]);
+      const tooltip = (text, mark) => `<span data-tip="${mark.attrs.tip}">${text}</span>`;
+
+      const inner = processSequence(doc, {
+        markRenderers: { tooltip: { priority: 1, render: tooltip } },
+      });
+      expect(inner[0].text).toBe('<strong><span data-tip="Hi">text</span></strong>');
+
+      const outer = processSequence(doc, {
+        markRenderers: { tooltip: { priority: 200, render: tooltip } },
+      });
+      expect(outer[0].text).toBe('<span data-tip="Hi"><strong>text</strong></span>');
+    });
+
+    test("overrides and disables default renderers", () => {
+      const doc = paragraph([{ type: "bold" }, { type: "highlight" }]);
+      const result = processSequence(doc, {
+        markRenderers: {
+          bold: (text) => `<b>${text}</b>`,
+          highlight: null,
+        },
+      });
+      expect(result[0].text).toBe("<b>text</b>");
+    });
+  });
+
+  describe("inline runs", () => {
+    const doc = {
+      type: "doc",
+      content: [
+        {
+          type: "paragraph",
+          content: [
+            { type: "text", text: " Plain " },
+            { type: "text", text: "bold", marks: [{ type: "bold" }] },
+            {
+              type: "text",
+              text: " both",
+              marks: [{ type: "italic" }, { type: "bold" }],
+            },
+            { type: "hardBreak" },
+            {
+              type: "text",
+              text: "link",
+              marks: [{ type: "link", attrs: { href: "/x", target: null } }],
+            },
+          ],
+        },
+      ],
+    };
+
+    test("runs are not emitted by default", () => {
+      expect(processSequence(doc)[0].runs).toBeUndefined();
+    });
+
+    test("emits normalized runs alongside the HTML text", () => {
+      const [paragraph] = processSequence(doc, { inlineFormat: "runs" });
+
+      expect(paragraph.text).toContain("<strong>bold</strong>");
+      expect(paragraph.runs).toEqual([
+        { text: "Plain ", marks: [] },
+        { text: "bold", marks: [{ type: "bold", attrs: {} }] },
+        {
+          text: " both",
+          marks: [
+            { type: "bold", attrs: {} },
+            { type: "italic", attrs: {} },
+          ],
+        },
+        { text: "\n", marks: [] },
+        { text: "link", marks: [{ type: "link", attrs: { href: "/x" } }] },
+      ]);
+    });
+
+    test("merges adjacent runs with identical marks", () => {
+      const merged = {
+        type: "doc",
+        content: [
+          {
+            type: "heading",
+            attrs: { level: 2 },
+            content: [
+              { type: "text", text: "One ", marks: [{ type: "bold" }] },
+              { type: "text", text: "two", marks: [{ type: "bold" }] },
+            ],
+          },
+        ],
+      };
+
+      const [heading] = processSequence(merged, { inlineFormat: "runs" });
+      expect(heading.runs).toEqual([
+        { text: "One two", marks: [{ type: "bold", attrs: {} }] },
+      ]);
+    });
+  });
+
+  describe("escaping and link safety", () => {
+    const paragraph = (content) => ({
+      type: "doc",
+      content: [{ type: "paragraph", content }],
+    });
+
+    test("escapes text content", () => {
+      const doc = paragraph([
+        { type: "text", text: "1 < 2 & <script>x</script>", marks: [{ type: "bold" }] },
+      ]);
+      expect(processSequence(doc)[0].text).toBe(
+        "<strong>1 &lt; 2 &amp; &lt;script&gt;x&lt;/script&gt;</strong>"
+      );
+    });
+
+    test("escapes mark attribute values", () => {
+      const doc = paragraph([
+        { type: "text", text: "See " },
+        {
+          type: "text",
+          text: "this",
+          marks: [
+            { type: "span", attrs: { class: 'a" onclick="x', "data-x": "<y>", "bad key": 1, onmouseover: "x" } },
+            { type: "link", attrs: { href: '/a"b', target: '_blank" x="' } },
+          ],
+        },
+      ]);
+      expect(processSequence(doc)[0].text).toBe(
+        'See <a href="/a&quot;b" target="_blank&quot; x=&quot;">' +
+          '<span class="a&quot; onclick=&quot;x" data-x="&lt;y&gt;">this</span></a>'
+      );
+    });
+
+    test("drops text colors that are not theme tokens", () => {
+      const colored = (color) => ({ type: "text", text: "x", marks: [{ type: "textStyle", attrs: { color } }] });
+      const doc = paragraph([
+        colored("primary-500"),
+        colored("x);background:url(//evil.example/a"),
+        colored("red; position: fixed"),
+      ]);
+      expect(processSequence(doc)[0].text).toBe('<span style="color: var(--primary-500)">x</span>xx');
+    });
+
+    test("keeps code block text raw", () => {
+      const doc = {
+        type: "doc",
+        content: [
+          {
+            type: "codeBlock",
+            attrs: { language: "json", tag: "cfg" },
+            content: [{ type: "text", text: '{"html": "<b>&</b>"}' }],
+          },
+        ],
+      };
+      expect(processSequence(doc)[0].text).toEqual({ html: "<b>&</b>" });
+    });
+
+    test("drops anchors with blocked protocols", () => {
+      const doc = paragraph([
+        { type: "text", text: "Click " },
+        { type: "text", text: "me", marks: [{ type: "link", attrs: { href: "javascript:alert(1)" } }] },
+        { type: "text", text: " or " },
+        { type: "text", text: "this", marks: [{ type: "link", attrs: { href: " Data:text/html,x" } }] },
+      ]);
+      expect(processSequence(doc)[0].text).toBe("Click me or this");
+    });
+
+    test("drops link marks with blocked protocols from runs", () => {
+      const doc = paragraph([
+        { type: "text", text: "Click " },
+        { type: "text", text: "me", marks: [{ type: "bold" }, { type: "link", attrs: { href: "javascript:alert(1)" } }] },
+        { type: "text", text: " ok", marks: [{ type: "link", attrs: { href: " /safe " } }] },
+      ]);
+      expect(processSequence(doc, { inlineFormat: "runs" })[0].runs).toEqual([
+        { text: "Click ", marks: [] },
+        { text: "me", marks: [{ type: "bold", attrs: {} }] },
+        { text: " ok", marks: [{ type: "link", attrs: { href: "/safe" } }] },
+      ]);
+    });
+
+    test("ignores whitespace and control characters in schemes", () => {
+      const doc = paragraph([
+        { type: "text", text: "x", marks: [{ type: "link", attrs: { href: "java\tscript:alert(1)" } }] },
+      ]);
+      expect(processSequence(doc)[0].attrs.href).toBe("");
+    });
+
+    test("applies the policy to link elements and buttons", () => {
+      const doc = {
+        type: "doc",
+        content: [
+          {
+            type: "paragraph",
+            content: [
+              { type: "text", text: "Bad", marks: [{ type: "link", attrs: { href: "javascript:void(0)" } }] },
+            ],
+          },
+          {
+            type: "paragraph",
+            content: [
+              { type: "text", text: "A", marks: [{ type: "link", attrs: { href: "/a" } }] },
+              { type: "text", text: "B", marks: [{ type: "link", attrs: { href: "data:x" } }] },
+            ],
+          },
+          {
+            type: "heading",
+            attrs: { level: 2 },
+            content: [
+              { type: "text", text: "Go", marks: [{ type: "bold" }, { type: "link", attrs: { href: "javascript:x" } }] },
+              { type: "text", text: " now", marks: [{ type: "link", attrs: { href: "javascript:x" } }] },
+            ],
+          },
+          {
+            type: "button",
+            attrs: { href: "javascript:x", variant: "primary" },
+            content: [{ type: "text", text: "Buy" }],
+          },
+        ],
+      };
+
+      const result = processSequence(doc);
+      expect(result[0].attrs.href).toBe("");
+      expect(result[1].attrs.href).toBe("/a");
+      expect(result[2].attrs.href).toBe("");
+      expect(result[3].type).toBe("paragraph");
+      expect(result[3].text).toBe("<strong>Go</strong> now");
+      expect(result[4].attrs).toEqual({ href: "", variant: "primary" });
+    });
+
+    test("allowed protocols are configurable", () => {
+      const doc = paragraph([
+        { type: "text", text: "Call " },
+        { type: "text", text: "us", marks: [{ type: "link", attrs: { href: "tel:123" } }] },
+        { type: "text", text: " on " },
+        { type: "text", text: "Slack", marks: [{ type: "link", attrs: { href: "slack://open" } }] },
+      ]);
+
+      const result = processSequence(doc, { allowedProtocols: ["slack"] });
+      expect(result[0].text).toBe(
+        'Call us on <a href="slack://open" target="_self">Slack</a>'
+      );
+    });
+  });
+
+  describe("tables", () => {
+    test("parses rows, header cells, spans and alignment", () => {
+      const [, table] = processSequence(tableContent);
+
+      expect(table.type).toBe("table");
+      expect(table.rows).toHaveLength(2);
+
+      const [head, row] = table.rows;
+      expect(head.header).toBe(true);
+      expect(head.cells[1]).toMatchObject({
+        text: "Plans",
+        header: true,
+        colspan: 2,
+        rowspan: 1,
+        align: "center",
+      });
+
+      expect(row.header).toBe(false);
+      expect(row.cells[0]).toMatchObject({
+        text: "<strong>Storage</strong><br>per user",
+        header: false,
+        colspan: 1,
+        rowspan: 2,
+        align: null,
+      });
+      expect(row.cells[0].children).toHaveLength(2);
+      expect(row.cells[1]).toMatchObject({ colspan: 1, rowspan: 1 });
+      expect(row.cells[2].align).toBe("right");
+    });
+
+    test("adds runs to cells in runs mode", () => {
+      const [, table] = processSequence(tableContent, { inlineFormat: "runs" });
+      expect(table.rows[1].cells[0].runs).toEqual([
+        { text: "Storage", marks: [{ type: "bold", attrs: {} }] },
+        { text: "\nper user", marks: [] },
+      ]);
+    });
+  });
+
+  describe("task lists", () => {
+    test("creates a task list with checked states", () => {
+      const [, list] = processSequence(taskListContent);
+
+      expect(list.type).toBe("list");
+      expect(list.style).toBe("task");
+      expect(list.checked).toEqual([true, false]);
+      expect(list.children[1][0].text).toBe("Invite team");
+    });
+
+    test("regular lists have no checked states", () => {
+      const doc = {
+        type: "doc",
+        content: [
+          {
+            type: "bulletList",
+            content: [
+              {
+                type: "listItem",
+                content: [{ type: "paragraph", content: [{ type: "text", text: "A" }] }],
+              },
+            ],
+          },
+        ],
+      };
+      expect(processSequence(doc)[0].checked).toBeUndefined();
+    });
+  });
+
+  describe("math", () => {
+    test("normalizes display math into a math element", () => {
+      const result = processSequence(mathContent);
+      expect(result[2]).toEqual({
+        type: "math",
+        display: true,
+        latex: "E = mc^2",
+        attrs: undefined,
+      });
+    });
+
+    test("renders inline math with stable markup", () => {
+      const [, paragraph] = processSequence(mathContent);
+
+      expect(paragraph.text).toBe(
+        'Where <span class="math-inline" data-latex="c &lt; v">c &lt; v</span> holds:'
+      );
+      expect(paragraph.children).toEqual([
+        { type: "math", display: false, latex: "c < v" },
+      ]);
+    });
+
+    test("supports TipTap mathematics node names", () => {
+      const doc = {
+        type: "doc",
+        content: [
+          { type: "blockMath", attrs: { latex: "\\sum x" } },
+          {
+            type: "paragraph",
+            content: [{ type: "inlineMath", attrs: { latex: "x^2" } }],
+          },
+        ],
+      };
+      const result = processSequence(doc);
+      expect(result[0].latex).toBe("\\sum x");
+      expect(result[1].children[0].latex).toBe("x^2");
+    });
+
+    test("inline math becomes a typed run", () => {
+      const [, paragraph] = processSequence(mathContent, { inlineFormat: "runs" });
+      expect(paragraph.runs).toEqual([
+        { text: "Where ", marks: [] },
+        { type: "math", text: "c < v", marks: [] },
+        { text: " holds:", marks: [] },
+      ]);
+    });
+  });
+
+  describe("footnotes", () => {
+    test("numbers references in order of first use", () => {
+      const result = processSequence(footnoteContent);
+
+      expect(result[1].text).toBe(
+        'First claim<sup class="footnote-ref"><a href="#fn-1" id="fnref-1">1</a></sup>' +
+          ' and second<sup class="footnote-ref"><a href="#fn-2" id="fnref-2">2</a></sup>.'
+      );
+      // Repeated reference (as a mark) gets its own back-reference id
+      expect(result[3].text).toBe(
+        'Back to the first<sup class="footnote-ref"><a href="#fn-1" id="fnref-1-2">1</a></sup>'
+      );
+      expect(result[1].children).toEqual([
+        { type: "footnote-ref", label: "a", number: 1, id: "fnref-1", target: "fn-1" },
+        { type: "footnote-ref", label: "b", number: 2, id: "fnref-2", target: "fn-2" },
+      ]);
+    });
+
+    test("turns definitions into footnote elements with back-references", () => {
+      const result = processSequence(footnoteContent);
+      const footnotes = result.filter((e) => e.type === "footnote");
+
+      expect(footnotes).toHaveLength(3);
+      expect(footnotes[1]).toMatchObject({
+        id: "fn-1",
+        number: 1,
+        label: "a",
+        text: "<em>First source.</em>",
+        refs: ["fnref-1", "fnref-1-2"],
+      });
+      expect(footnotes[0]).toMatchObject({ number: 2, refs: ["fnref-2"] });
+      // Unreferenced definitions are numbered last
+      expect(footnotes[2]).toMatchObject({ number: 3, refs: [] });
+    });
+
+    test("supports TipTap footnote attributes", () => {
+      const doc = {
+        type: "doc",
+        content: [
+          {
+            type: "paragraph",
+            content: [
+              { type: "text", text: "Text" },
+              { type: "footnoteReference", attrs: { "data-id": "x1", referenceNumber: "1" } },
+            ],
+          },
+          {
+            type: "footnotes",
+            content: [
+              {
+                type: "footnote",
+                attrs: { id: "fn:1", "data-id": "x1" },
+                content: [{ type: "paragraph", content: [{ type: "text", text: "Note" }] }],
+              },
+            ],
+          },
+        ],
+      };
+
+      const result = processSequence(doc);
+      expect(result[1]).toMatchObject({ type: "footnote", number: 1, refs: ["fnref-1"] });
+    });
+
+    test("footnote references become typed runs", () => {
+      const [, paragraph] = processSequence(footnoteContent, { inlineFormat: "runs" });
+      expect(paragraph.runs[1]).toEqual({
+        type: "footnote-ref",
+        text: "1",
+        marks: [],
+        id: "fnref-1",
+        href: "#fn-1",
+      });
+    });
+  });
+
+  describe("details", () => {
+    test("parses summary and a nested sequence", () => {
+      const [, details] = processSequence(detailsContent);
+
+      expect(details.type).toBe("details");
+      expect(details.summary).toBe("How does it work?");
+      expect(details.open).toBe(true);
+      expect(details.children).toHaveLength(2);
+      expect(details.children[0].text).toBe("It parses content.");
+      expect(details.children[1]).toMatchObject({
+        type: "details",
+        summary: "More?",
+        open: false,
+      });
+    });
+  });
+
+  describe("videos", () => {
+    test("adds platform metadata to video blocks", () => {
+      const doc = {
+        type: "doc",
+        content: [
+          { type: "Video", attrs: { src: "https://vimeo.com/76979871", caption: "Demo" } },
+          { type: "Video", attrs: { src: "/media/intro.mp4" } },
+        ],
+      };
+
+      const [vimeo, local] = processSequence(doc);
+      expect(vimeo.attrs).toMatchObject({
+        src: "https://vimeo.com/76979871",
+        caption: "Demo",
+        provider: "vimeo",
+        videoId: "76979871",
+        embedUrl: "https://player.vimeo.com/video/76979871",
+      });
+      expect(local.attrs).toMatchObject({
+        src: "/media/intro.mp4",
+        provider: null,
+        videoId: null,
+        embedUrl: null,
+        thumbnailUrl: null,
+        startTime: null,
+      });
+    });
+
+    test("recognizes bare video URLs in paragraphs", () => {
+      const url = "https://www.youtube.com/watch?v=dQw4w9WgXcQ";
+      const doc = {
+        type: "doc",
+        content: [
+          { type: "paragraph", content: [{ type: "text", text: ` ${url} ` }] },
+          {
+            type: "paragraph",
+            content: [{ type: "text", text: url, marks: [{ type: "link", attrs: { href: url } }] }],
+          },
+          {
+            type: "paragraph",
+            content: [{ type: "text", text: "Watch", marks: [{ type: "link", attrs: { href: url } }] }],
+          },
+          { type: "paragraph", content: [{ type: "text", text: `See ${url}` }] },
+        ],
+      };
+
+      const result = processSequence(doc);
+      expect(result[0].type).toBe("video");
+      expect(result[0].attrs).toMatchObject({ src: url, provider: "youtube", videoId: "dQw4w9WgXcQ" });
+      expect(result[1].type).toBe("video");
+      // Labeled links and URLs within text stay links/paragraphs
+      expect(result[2].type).toBe("link");
+      expect(result[3].type).toBe("paragraph");
+    });
+
+    test("turns youtube and video iframe nodes into videos", () => {
+      const doc = {
+        type: "doc",
+        content: [
+          { type: "youtube", attrs: { src: "https://youtu.be/dQw4w9WgXcQ", start: 10 } },
+          { type: "iframe", attrs: { src: "https://player.vimeo.com/video/76979871" } },
+          { type: "iframe", attrs: { src: "https://maps.example.com/embed" } },
+        ],
+      };
+
+      const result = processSequence(doc);
+      expect(result[0].type).toBe("video");
+      expect(result[0].attrs).toMatchObject({ provider: "youtube", startTime: 10 });
+      expect(result[1].type).toBe("video");
+      expect(result[1].attrs.provider).toBe("vimeo");
+      expect(result[2].type).toBe("iframe");
+    });
+  });
+
+  describe("asset resolution", () => {
+    const doc = {
+      type: "doc",
+      content: [
+        { type: "ImageBlock", attrs: { info: { identifier: "hero.jpg" }, alt: "Hero" } },
+        {
+          type: "document-group",
+          content: [
+            { type: "document", attrs: { info: { identifier: "report.pdf" }, title: "Report" } },
+          ],
+        },
+      ],
+    };
+
+    test("resolves asset identifiers with the resolveAsset option", () => {
+      const resolveAsset = (info) =>
+        info.identifier === "report.pdf"
+          ? { src: "/files/report.pdf", href: "/download/report.pdf" }
+          : `/assets/${info.identifier}`;
+
+      const [image, group] = processSequence(doc, { resolveAsset });
+      expect(image.attrs.url).toBe("/assets/hero.jpg");
+      expect(image.attrs.value).toBe("hero.jpg");
+      expect(group.documents[0].downloadUrl).toBe("/download/report.pdf");
+    });
+
+    test("leaves assets unresolved without a resolver", () => {
+      const [image, group] = processSequence(doc);
+      expect(image.attrs.url).toBe("");
+      expect(group.documents[0].downloadUrl).toBeUndefined();
+    });
+  });
+
+  test("decodes image captions without a DOM", () => {
+    const doc = {
+      type: "doc",
+      content: [
+        {
+          type: "ImageBlock",
+          attrs: { url: "/photo.jpg", caption: "<em>Caf&eacute;</em> &amp; bar" },
+        },
+      ],
+    };
+
+    const [image] = processSequence(doc);
+    expect(image.attrs.caption).toBe("Café & bar");
+    expect(image.attrs.alt).toBe("Café & bar");
+  });
+
+  describe("heading ids", () => {
+    const heading = (level, text, attrs = {}) => ({
+      type: "heading",
+      attrs: { level, ...attrs },
+      content: [{ type: "text", text }],
+    });
+
+    test("adds de-duplicated slug ids to headings", () => {
+      const doc = {
+        type: "doc",
+        content: [
+          heading(1, "Getting Started!"),
+          heading(2, "Überblick & Café"),
+          heading(2, "Getting started"),
+          heading(2, "Getting started"),
+          heading(2, "???"),
+        ],
+      };
+
+      expect(processSequence(doc).map((element) => element.id)).toEqual([
+        "getting-started",
+        "uberblick-cafe",
+        "getting-started-1",
+        "getting-started-2",
+        "section",
+      ]);
+    });
+
+    test("keeps explicit ids and avoids them for generated ones", () => {
+      const doc = {
+        type: "doc",
+        content: [
+          heading(2, "Setup"),
+          heading(2, "Install", { id: "setup-1" }),
+          heading(2, "Setup"),
+        ],
+      };
+
+      expect(processSequence(doc).map((element) => element.id)).toEqual([
+        "setup",
+        "setup-1",
+        "setup-2",
+      ]);
+    });
+
+    test("shares ids across nested content", () => {
+      const doc = {
+        type: "doc",
+        content: [
+          heading(2, "Notes"),
+          { type: "blockquote", content: [heading(3, "Notes")] },
+        ],
+      };
+
+      const result = processSequence(doc);
+      expect(result[1].children[0].id).toBe("notes-1");
+    });
+  });
+
+  describe("data formats", () => {
+    const codeBlock = (language, text, attrs = {}) => ({
+      type: "codeBlock",
+      attrs: { language, tag: "data", ...attrs },
+      content: [{ type: "text", text }],
+    });
+
+    test("parses tagged code blocks by language", () => {
+      const doc = {
+        type: "doc",
+        content: [
+          codeBlock("csv", "name,age\nAda,36"),
+          codeBlock("toml", 'theme = "dark"'),
+          codeBlock("json5", "{ size: 'lg', }"),
+          codeBlock("ini", "[colors]\nmain = blue"),
+          codeBlock("properties", "greeting=Hello"),
+          codeBlock("tsv", "a\tb\n1\t2", { header: false }),
+        ],
+      };
+
+      expect(processSequence(doc).map((element) => element.text)).toEqual([
+        [{ name: "Ada", age: 36 }],
+        { theme: "dark" },
+        { size: "lg" },
+        { colors: { main: "blue" } },
+        { greeting: "Hello" },
+        [["a", "b"], [1, 2]],
+      ]);
+    });
+
+    test("keeps raw text when parsing fails", () => {
+      const doc = { type: "doc", content: [codeBlock("toml", "not = valid = toml")] };
+      expect(processSequence(doc)[0].text).toBe("not = valid = toml");
+    });
+
+    test("keeps raw text for keys that reach Object.prototype", () => {
+      const text = "[constructor]\nisAdmin=true";
+      const doc = { type: "doc", content: [codeBlock("ini", text)] };
+
+      expect(processSequence(doc)[0].text).toBe(text);
+      expect({}.isAdmin).toBeUndefined();
+    });
+  });
 });
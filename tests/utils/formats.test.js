@@ -0,0 +1,266 @@
+import {
+  parseToml,
+  parseJson5,
+  parseDelimited,
+  parseIni,
+  parseProperties,
+} from "../../src/utils/formats.js";
+
+describe("data formats", () => {
+  describe("parseToml", () => {
+    test("parses tables, arrays of tables and values", () => {
+      const text = [
+        'title = "Site"',
+        "count = 1_000",
+        "ratio = 0.5",
+        "draft = false",
+        "published = 2024-05-27",
+        "tags = [ 'a', \"b\",",
+        "  'c', ] # trailing comma",
+        "point = { x = 1, y = 2 }",
+        "",
+        "[owner]",
+        'name = "Ada"',
+        "",
+        "[[links]]",
+        'href = "/a"',
+        "[[links]]",
+        'href = "/b"',
+      ].join("\n");
+
+      expect(parseToml(text)).toEqual({
+        title: "Site",
+        count: 1000,
+        ratio: 0.5,
+        draft: false,
+        published: "2024-05-27",
+        tags: ["a", "b", "c"],
+        point: { x: 1, y: 2 },
+        owner: { name: "Ada" },
+        links: [{ href: "/a" }, { href: "/b" }],
+      });
+    });
+
+    test("parses multi-line strings and dotted keys", () => {
+      const text = 'a.b = """\nline 1\nline 2"""\nraw = \'C:\\dir\'';
+      expect(parseToml(text)).toEqual({ a: { b: "line 1\nline 2" }, raw: "C:\\dir" });
+    });
+
+    test("throws on invalid documents", () => {
+      expect(() => parseToml("a = 1\na = 2")).toThrow(/redefine/);
+      expect(() => parseToml("a = 1\n[a]\nb = 2")).toThrow(/redefine/);
+      expect(() => parseToml("a = ")).toThrow();
+    });
+
+    test("follows the TOML 1.0 spec", () => {
+      const text = [
+        'bare_key = "value"',
+        '"quoted key" = "x"',
+        "site.\"google.com\" = true",
+        "int = +99",
+        "hex = 0xDEADBEEF",
+        "oct = 0o755",
+        "bin = 0b1101",
+        "flt = 6.626e-34",
+        "inf = inf",
+        'basic = "tab\\t\\u00E9"',
+        "literal = 'C:\\Users'",
+        'ml = """',
+        "one \\",
+        '  two"""',
+        "odt = 1979-05-27T07:32:00Z",
+        "lt = 07:32:00",
+        "nested = [[1, 2], ['a']]",
+        "",
+        "[a.b.c]",
+        "d = 1",
+        "",
+        "[[fruits]]",
+        'name = "apple"',
+        "[[fruits.varieties]]",
+        'name = "red"',
+      ].join("\n");
+      expect(parseToml(text)).toEqual({
+        bare_key: "value",
+        "quoted key": "x",
+        site: { "google.com": true },
+        int: 99,
+        hex: 3735928559,
+        oct: 493,
+        bin: 13,
+        flt: 6.626e-34,
+        inf: Infinity,
+        basic: "tab\t\u00e9",
+        literal: "C:\\Users",
+        ml: "one two",
+        odt: "1979-05-27T07:32:00.000Z",
+        lt: "07:32:00.000",
+        nested: [[1, 2], ["a"]],
+        a: { b: { c: { d: 1 } } },
+        fruits: [{ name: "apple", varieties: [{ name: "red" }] }],
+      });
+    });
+
+    test("returns plain objects for tables named after Object.prototype members", () => {
+      const result = parseToml("[valueOf]\nhost = 'x'\n[toString.inner]\ny = 1");
+      expect(result).toEqual({ valueOf: { host: "x" }, toString: { inner: { y: 1 } } });
+      expect(Object.getPrototypeOf(result)).toBe(Object.prototype);
+      expect({}.valueOf.host).toBeUndefined();
+      expect({}.toString.inner).toBeUndefined();
+    });
+
+    test("rejects keys that reach Object.prototype", () => {
+      expect(() => parseToml('[__proto__]\npolluted = "x"')).toThrow(/Unsafe key/);
+      expect(() => parseToml("a.__proto__.x = 1")).toThrow(/Unsafe key/);
+      expect(() => parseToml("[[constructor]]\nx = 1")).toThrow(/Unsafe key/);
+      expect(() => parseToml("t = { __proto__ = 1 }")).toThrow(/Unsafe key/);
+      expect({}.polluted).toBeUndefined();
+      expect({}.x).toBeUndefined();
+    });
+  });
+
+  describe("parseJson5", () => {
+    test("accepts JSON5 syntax", () => {
+      const text = `{
+        // comment
+        name: 'Ada', /* inline */
+        "quoted": "x",
+        hex: 0x10,
+        half: .5,
+        list: [1, 2,],
+      }`;
+      expect(parseJson5(text)).toEqual({ name: "Ada", quoted: "x", hex: 16, half: 0.5, list: [1, 2] });
+    });
+
+    test("throws on invalid input", () => {
+      expect(() => parseJson5("{a: 1")).toThrow();
+      expect(() => parseJson5("{a: 01}")).toThrow();
+    });
+
+    test("follows the JSON5 spec", () => {
+      const text = `// comment
+      {
+        unquoted: 'and you can quote me on that',
+        singleQuotes: 'I can use "double quotes" here',
+        lineBreaks: "Look, Mom! \\
+No \\\\n's!",
+        hexadecimal: 0xdecaf,
+        leadingDecimalPoint: .8675309, andTrailing: 8675309.,
+        positiveSign: +1,
+        infinity: -Infinity,
+        trailingComma: 'in objects', andIn: ['arrays',],
+        "backwardsCompatible": "with JSON",
+      }`;
+      expect(parseJson5(text)).toEqual({
+        unquoted: "and you can quote me on that",
+        singleQuotes: 'I can use "double quotes" here',
+        lineBreaks: "Look, Mom! No \\n's!",
+        hexadecimal: 0xdecaf,
+        leadingDecimalPoint: 0.8675309,
+        andTrailing: 8675309,
+        positiveSign: 1,
+        infinity: -Infinity,
+        trailingComma: "in objects",
+        andIn: ["arrays"],
+        backwardsCompatible: "with JSON",
+      });
+    });
+
+    test("rejects keys that reach Object.prototype", () => {
+      expect(() => parseJson5('{"__proto__": {"polluted": true}}')).toThrow(/Unsafe key/);
+      expect(() => parseJson5("{a: {constructor: {prototype: {}}}}")).toThrow(/Unsafe key/);
+      expect({}.polluted).toBeUndefined();
+    });
+  });
+
+  describe("parseDelimited", () => {
+    test("returns row objects when the first row is a header", () => {
+      const text = 'name,price,zip\nApple,1.5,02134\n"Pear, ""green""",2,\n';
+      expect(parseDelimited(text)).toEqual([
+        { name: "Apple", price: 1.5, zip: "02134" },
+        { name: 'Pear, "green"', price: 2, zip: "" },
+      ]);
+    });
+
+    test("follows RFC 4180 quoting", () => {
+      const text = 'a,b,c\r\n"x, y","say ""hi""","line\r\nbreak"\r\n,"",z\r\n';
+      expect(parseDelimited(text, { header: false })).toEqual([
+        ["a", "b", "c"],
+        ["x, y", 'say "hi"', "line\r\nbreak"],
+        ["", "", "z"],
+      ]);
+    });
+
+    test("returns arrays of cells without a header", () => {
+      expect(parseDelimited("1\t2\n3\t4", { delimiter: "\t" })).toEqual([[1, 2], [3, 4]]);
+      expect(parseDelimited("a,b\nc,d", { header: false })).toEqual([["a", "b"], ["c", "d"]]);
+    });
+  });
+
+  test("parseIni reads sections and typed values", () => {
+    const text = "mode = dark\n; comment\n[db]\nhost = localhost\nport = 5432\ndebug = true\nname = \"My App\"";
+    expect(parseIni(text)).toEqual({
+      mode: "dark",
+      db: { host: "localhost", port: 5432, debug: true, name: "My App" },
+    });
+  });
+
+  test("parseIni reads nested sections, arrays and quoted values", () => {
+    const text = "[a.b]\nc = 1\n[list]\nitem[] = x\nitem[] = y\nsemi = \"a;b\"\nhash = x # note\nflag";
+    expect(parseIni(text)).toEqual({
+      a: { b: { c: 1 } },
+      list: { item: ["x", "y"], semi: "a;b", hash: "x", flag: true },
+    });
+  });
+
+  test("parseIni rejects keys that reach Object.prototype", () => {
+    expect(parseIni("[__proto__]\nisAdmin=true")).toEqual({});
+    expect(() => parseIni("[constructor]\nisAdmin=true")).toThrow(/Unsafe key/);
+    expect(() => parseIni("[db]\nconstructor = x")).toThrow(/Unsafe key/);
+    expect({}.isAdmin).toBeUndefined();
+  });
+
+  test("parseIni returns plain objects for sections named after Object.prototype members", () => {
+    const result = parseIni("[toString]\nport = 80\n[hasOwnProperty]\nx = 1");
+    expect(result).toEqual({ toString: { port: 80 }, hasOwnProperty: { x: 1 } });
+    expect(Object.getPrototypeOf(result)).toBe(Object.prototype);
+    expect({}.toString.port).toBeUndefined();
+    expect({}.hasOwnProperty.x).toBeUndefined();
+  });
+
+  test("parseProperties rejects keys that reach Object.prototype", () => {
+    expect(() => parseProperties("__proto__=x")).toThrow(/Unsafe key/);
+  });
+
+  test("parseProperties follows the java.util.Properties format", () => {
+    const text = [
+      "  # indented comment",
+      "key\\ with\\ spaces = value",
+      "colon\\:key:v",
+      "empty",
+      "fruits   apple, banana, \\",
+      "         cherry",
+      "escaped\\\\ = trailing",
+      "tabs\\tin = \\u0048\\u0069",
+    ].join("\r\n");
+    expect(parseProperties(text)).toEqual({
+      "key with spaces": "value",
+      "colon:key": "v",
+      empty: "",
+      fruits: "apple, banana, cherry",
+      "escaped\\": "trailing",
+      "tabs\tin": "Hi",
+    });
+  });
+
+  test("parseProperties reads separators, continuations and escapes", () => {
+    const text = "# comment\n! comment\na=b\nkey : spaced value\nk3 v3\nlong = one \\\n    two\nunicode=\\u0041\\tB";
+    expect(parseProperties(text)).toEqual({
+      a: "b",
+      key: "spaced value",
+      k3: "v3",
+      long: "one two",
+      unicode: "A\tB",
+    });
+  });
+});
@@ -0,0 +1,46 @@
+import { decodeEntities, stripHtml, parseInlineHtml } from "../../src/utils/html.js";
+
+describe("html utilities", () => {
+  test("decodes named entities", () => {
+    expect(decodeEntities("Caf&eacute; &amp; cr&egrave;me")).toBe("Café & crème");
+    expect(decodeEntities("&hearts; &rarr; &NotEqualTilde;")).toBe("♥ → ≂̸");
+  });
+
+  test("decodes decimal and hexadecimal references", () => {
+    expect(decodeEntities("&#169; &#x1F600; &#X41;")).toBe("© 😀 A");
+  });
+
+  test("maps invalid and Windows-1252 code points like browsers", () => {
+    expect(decodeEntities("&#0;&#xD800;&#1114112;")).toBe("���");
+    expect(decodeEntities("&#150;&#128;")).toBe("–€");
+  });
+
+  test("decodes legacy references without a semicolon", () => {
+    expect(decodeEntities("&copy2024 &amp Co")).toBe("©2024 & Co");
+    expect(decodeEntities("&notit;")).toBe("¬it;");
+  });
+
+  test("leaves unknown references untouched", () => {
+    expect(decodeEntities("&unknown; & &hearts &#xZZ;")).toBe("&unknown; & &hearts &#xZZ;");
+  });
+
+  test("strips tags and comments before decoding", () => {
+    expect(stripHtml("<em>Fish</em> &amp; <!-- note --><b>chips</b>")).toBe("Fish & chips");
+    expect(stripHtml("&lt;b&gt;literal&lt;/b&gt;")).toBe("<b>literal</b>");
+    expect(stripHtml(null)).toBe("");
+  });
+
+  test("parses math and footnote markup back to inline nodes", () => {
+    const html =
+      'See <span class="math-inline" data-latex="a&lt;b">a&lt;b</span>' +
+      '<sup class="footnote-ref"><a href="#fn-2" id="fnref-2">2</a></sup> <sup>x</sup>';
+
+    expect(parseInlineHtml(html)).toEqual([
+      { type: "text", text: "See " },
+      { type: "math-inline", attrs: { latex: "a<b" } },
+      { type: "footnoteReference", attrs: { number: 2 } },
+      { type: "text", text: " " },
+      { type: "text", text: "x", marks: [{ type: "superscript" }] },
+    ]);
+  });
+});
@@ -0,0 +1,68 @@
+import { detectVideoProvider, parseTime } from "../../src/utils/video.js";
+
+describe("detectVideoProvider", () => {
+  test("detects YouTube URL variants", () => {
+    const expected = {
+      provider: "youtube",
+      videoId: "dQw4w9WgXcQ",
+      embedUrl: "https://www.youtube.com/embed/dQw4w9WgXcQ",
+      thumbnailUrl: "https://img.youtube.com/vi/dQw4w9WgXcQ/hqdefault.jpg",
+      startTime: null,
+    };
+
+    expect(detectVideoProvider("https://www.youtube.com/watch?v=dQw4w9WgXcQ")).toEqual(expected);
+    expect(detectVideoProvider("https://youtu.be/dQw4w9WgXcQ")).toEqual(expected);
+    expect(detectVideoProvider("https://www.youtube.com/embed/dQw4w9WgXcQ")).toEqual(expected);
+    expect(detectVideoProvider("https://youtube.com/shorts/dQw4w9WgXcQ")).toEqual(expected);
+    expect(detectVideoProvider("https://www.youtube-nocookie.com/embed/dQw4w9WgXcQ")).toEqual(expected);
+  });
+
+  test("reads YouTube start times", () => {
+    const result = detectVideoProvider("https://youtu.be/dQw4w9WgXcQ?t=1m30s");
+    expect(result.startTime).toBe(90);
+    expect(result.embedUrl).toBe("https://www.youtube.com/embed/dQw4w9WgXcQ?start=90");
+  });
+
+  test("detects Vimeo URLs", () => {
+    expect(detectVideoProvider("https://vimeo.com/76979871#t=45s")).toEqual({
+      provider: "vimeo",
+      videoId: "76979871",
+      embedUrl: "https://player.vimeo.com/video/76979871#t=45s",
+      thumbnailUrl: null,
+      startTime: 45,
+    });
+    expect(detectVideoProvider("https://player.vimeo.com/video/76979871").videoId).toBe("76979871");
+    expect(detectVideoProvider("https://vimeo.com/channels/staffpicks/76979871").videoId).toBe("76979871");
+  });
+
+  test("detects Wistia URLs", () => {
+    const result = detectVideoProvider("https://acme.wistia.com/medias/e4a27b971d?wtime=30s");
+    expect(result).toEqual({
+      provider: "wistia",
+      videoId: "e4a27b971d",
+      embedUrl: "https://fast.wistia.net/embed/iframe/e4a27b971d?time=30",
+      thumbnailUrl: "https://fast.wistia.com/embed/medias/e4a27b971d/swatch",
+      startTime: 30,
+    });
+    expect(detectVideoProvider("https://fast.wistia.net/embed/iframe/e4a27b971d").videoId).toBe("e4a27b971d");
+  });
+
+  test("returns null for other URLs", () => {
+    expect(detectVideoProvider("https://example.com/video.mp4")).toBeNull();
+    expect(detectVideoProvider("/videos/intro.mp4")).toBeNull();
+    expect(detectVideoProvider("https://www.youtube.com/about")).toBeNull();
+    expect(detectVideoProvider("")).toBeNull();
+    expect(detectVideoProvider(undefined)).toBeNull();
+  });
+});
+
+describe("parseTime", () => {
+  test("parses seconds and h/m/s notation", () => {
+    expect(parseTime("90")).toBe(90);
+    expect(parseTime("90s")).toBe(90);
+    expect(parseTime("1h2m3s")).toBe(3723);
+    expect(parseTime("2m")).toBe(120);
+    expect(parseTime("soon")).toBeNull();
+    expect(parseTime(" ")).toBeNull();
+  });
+});